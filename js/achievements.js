@@ -66,6 +66,33 @@ window.achievementData = {
         icon: '🚀',
         requirement: { type: 'harvest-era', era: 'future', count: 1 },
         reward: { experience: 100, seeds: { 'crystal-future': 2 } }
+    },
+    'caretaker': {
+        id: 'caretaker',
+        name: 'Cuidador Atento',
+        description: 'Alimenta a tus animales 10 veces',
+        category: 'animals',
+        icon: '🥕',
+        requirement: { type: 'feed', count: 10 },
+        reward: { experience: 50, resources: { 'plant-fiber': 10 } }
+    },
+    'animal-whisperer': {
+        id: 'animal-whisperer',
+        name: 'Susurrador de Bestias',
+        description: 'Acaricia a tus animales 25 veces',
+        category: 'animals',
+        icon: '🤚',
+        requirement: { type: 'pet', count: 25 },
+        reward: { experience: 75, resources: { 'temporal-pulses': 50 } }
+    },
+    'selective-breeder': {
+        id: 'selective-breeder',
+        name: 'Criador Selectivo',
+        description: 'Consigue un animal de tercera generación',
+        category: 'animals',
+        icon: '💞',
+        requirement: { type: 'animal-generation', generation: 3 },
+        reward: { experience: 150, resources: { 'temporal-pulses': 100 } }
     }
 };
 
@@ -25,6 +25,11 @@ window.animalData = {
             'fossils': 10
         },
         
+        // Alimento aceptado: item -> hambre que recupera cada unidad
+        diet: {
+            'plant-fiber': 25
+        },
+        
         stats: {
             happiness: 100,
             hunger: 50,
@@ -53,6 +58,7 @@ window.animalData = {
         effect: {
             type: 'growth-boost',
             value: 1.1,
+            radius: 1, // Celdas alrededor del animal (incluye diagonales)
             description: 'Aumenta el crecimiento de plantas cercanas en 10%'
         },
         
@@ -60,6 +66,11 @@ window.animalData = {
             'temporal-pulses': 30
         },
         
+        diet: {
+            'plant-fiber': 20,
+            'fossils': 10
+        },
+        
         stats: {
             happiness: 120,
             hunger: 30,
@@ -93,6 +104,10 @@ window.animalData = {
             'artifacts': 15
         },
         
+        diet: {
+            'lotus-petals': 25
+        },
+        
         stats: {
             happiness: 90,
             hunger: 40,
@@ -122,6 +137,7 @@ window.animalData = {
             type: 'resource-boost',
             target: 'artifacts',
             value: 1.2,
+            radius: 2,
             description: 'Aumenta la producción de artefactos en 20%'
         },
         
@@ -129,6 +145,11 @@ window.animalData = {
             'temporal-pulses': 40
         },
         
+        diet: {
+            'papyrus-sheets': 20,
+            'plant-fiber': 15
+        },
+        
         stats: {
             happiness: 80,
             hunger: 60,
@@ -175,7 +196,8 @@ window.animalData = {
         
         effects: {
             efficiency: 1.25,      // Producción más eficiente
-            noHunger: true         // No requiere alimentación
+            noHunger: true,        // No requiere alimentación
+            nocturnal: true        // No duerme y rinde más de noche
         }
     },
     
@@ -190,6 +212,7 @@ window.animalData = {
         effect: {
             type: 'growth-acceleration',
             value: 1.3,
+            global: true, // Afecta a toda la granja
             description: 'Acelera el crecimiento de todas las plantas en 30%'
         },
         
@@ -210,7 +233,9 @@ window.animalData = {
         
         effects: {
             holographic: true,  // Puede atravesar objetos
-            energyEfficient: 1.1 // Pequeño ahorro de energía
+            energyEfficient: 1.1, // Pequeño ahorro de energía
+            noHunger: true,       // Una proyección no come
+            nocturnal: true       // Brilla más de noche
         }
     }
 };
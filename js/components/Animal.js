@@ -17,13 +17,17 @@ class Animal {
         this.y = data.y || 0;
         
         // Estado
-        this.happiness = data.happiness || 100;
-        this.hunger = data.hunger || 50;
-        this.energy = data.energy || 100;
+        this.happiness = data.happiness ?? 100;
+        this.hunger = data.hunger ?? 50;
+        this.energy = data.energy ?? 100;
+        this.isAsleep = data.isAsleep || false;
+        this.sleepReason = data.sleepReason || null; // 'night' o 'exhausted' (siesta hasta recuperar energía)
         
         // Producción
         this.production = data.production || null;
         this.lastProduction = data.lastProduction || 0;
+        this.productionProgress = data.productionProgress || 0; // ms acumulados del ciclo actual
+        this.storedProduction = data.storedProduction || 0; // Unidades pendientes de recolectar
         
         // Efectos
         this.effects = data.effects || {};
@@ -34,12 +38,23 @@ class Animal {
         this.targetX = null;
         this.targetY = null;
         
+        // Dieta: item -> hambre que recupera cada unidad
+        this.diet = data.diet || {};
+        
+        // Genética (multiplicadores heredables, 1 = base)
+        this.traits = { ...Animal.DEFAULT_TRAITS, ...data.traits };
+        this.generation = data.generation || 1;
+        this.parents = data.parents || [];
+        this.breedingCooldown = data.breedingCooldown || 0; // ms restantes para poder criar
+        
         // Configuración
         this.config = {
             maxHappiness: 100,
             maxHunger: 100,
             maxEnergy: 100,
             decayRate: 0.1,
+            happinessDrift: 0.5, // Puntos por segundo hacia la felicidad objetivo
+            minProductionHappiness: 30, // Por debajo no produce
             ...data.config
         };
         
@@ -53,19 +68,65 @@ class Animal {
     update(deltaTime) {
         this.updateNeeds(deltaTime);
         this.updateMovement(deltaTime);
-        this.checkProduction();
+        this.checkProduction(deltaTime);
     }
     
     updateNeeds(deltaTime) {
         // Decaída de necesidades
-        const decayAmount = this.config.decayRate * (deltaTime / 1000);
+        const decayAmount = this.config.decayRate * this.traits.happinessDecay * (deltaTime / 1000);
         
-        this.hunger = Math.max(0, this.hunger - decayAmount);
-        this.energy = Math.max(0, this.energy - decayAmount * 0.5);
+        if (!this.effects.noHunger) {
+            this.hunger = Math.max(0, this.hunger - decayAmount);
+        }
+        
+        // Dormido recupera energía en lugar de gastarla
+        if (this.isAsleep) {
+            this.energy = Math.min(this.config.maxEnergy, this.energy + decayAmount);
+        } else {
+            this.energy = Math.max(0, this.energy - decayAmount * 0.5);
+        }
         
-        // La felicidad depende de las necesidades
-        const needFactor = (this.hunger + this.energy) / 200;
-        this.happiness = Math.max(0, needFactor * 100);
+        // La felicidad tiende poco a poco a la que marcan las necesidades,
+        // así los mimos (feed/pet) duran un rato
+        const target = this.getTargetHappiness();
+        const drift = this.config.happinessDrift * (deltaTime / 1000);
+        
+        if (this.happiness > target) {
+            this.happiness = Math.max(target, this.happiness - drift);
+        } else {
+            this.happiness = Math.min(target, this.happiness + drift);
+        }
+    }
+    
+    /**
+     * Felicidad a la que tiende el animal según sus necesidades
+     * @returns {number} Felicidad objetivo (0-maxHappiness)
+     */
+    getTargetHappiness() {
+        const hunger = this.effects.noHunger ? this.config.maxHunger : this.hunger;
+        const needFactor = (hunger / this.config.maxHunger + this.energy / this.config.maxEnergy) / 2;
+        return needFactor * this.config.maxHappiness;
+    }
+    
+    /**
+     * Indica si el animal está desatendido (no produce)
+     * @returns {boolean}
+     */
+    isNeglected() {
+        const starving = !this.effects.noHunger && this.hunger <= 0;
+        return starving || this.happiness < this.config.minProductionHappiness;
+    }
+    
+    /**
+     * Intervalo de producción ajustado por la felicidad
+     * (con 100% de felicidad el intervalo es un 20% más corto; con 30%, un 38% más largo)
+     * @returns {number} Intervalo en ms
+     */
+    getProductionInterval() {
+        if (!this.production) return Infinity;
+        
+        const speedFactor = 0.5 + (this.happiness / this.config.maxHappiness) * 0.75;
+        return this.production.interval / (speedFactor * this.traits.productionSpeed);
     }
     
     updateMovement(deltaTime) {
@@ -96,7 +157,8 @@ class Animal {
         const radius = 100;
         const speed = 0.001;
         
-        const time = Date.now() * speed;
+        this.movementTime = (this.movementTime || 0) + deltaTime;
+        const time = this.movementTime * speed;
         this.x = centerX + Math.cos(time) * radius;
         this.y = centerY + Math.sin(time) * radius;
     }
@@ -125,9 +187,14 @@ class Animal {
         const distance = Math.sqrt(dx * dx + dy * dy);
         
         if (distance > 5) {
-            const moveAmount = this.movementSpeed * (deltaTime / 16);
+            // Con pasos largos (simulación offline) no pasarse del objetivo
+            const moveAmount = Math.min(distance, this.movementSpeed * (deltaTime / 16));
             this.x += (dx / distance) * moveAmount;
             this.y += (dy / distance) * moveAmount;
+            
+            // Mantener dentro de límites
+            this.x = Math.max(0, Math.min(800, this.x));
+            this.y = Math.max(0, Math.min(600, this.y));
         }
     }
     
@@ -142,26 +209,37 @@ class Animal {
         return distance < 10;
     }
     
-    checkProduction() {
+    /**
+     * Avanza el ciclo de producción
+     * @param {number} deltaTime - Tiempo transcurrido en ms
+     */
+    checkProduction(deltaTime) {
         if (!this.production) return;
         
-        const now = Date.now();
-        const timeSinceLastProduction = now - this.lastProduction;
+        this.productionProgress += deltaTime;
         
-        if (timeSinceLastProduction >= this.production.interval) {
+        const interval = this.getProductionInterval();
+        while (this.productionProgress >= interval) {
+            this.productionProgress -= interval;
             this.produce();
-            this.lastProduction = now;
+            this.lastProduction = Date.now();
         }
     }
     
+    /**
+     * Produce una tanda y la acumula en storedProduction
+     * @returns {number} Cantidad producida
+     */
     produce() {
-        if (!this.production || this.happiness < 30) return;
+        if (!this.production || this.isNeglected()) return 0;
         
-        const amount = this.production.amount * (this.happiness / 100);
+        const amount = this.production.amount * (this.happiness / this.config.maxHappiness) * this.traits.productionAmount;
+        this.storedProduction += amount;
         
         // Notificar producción
         if (window.EventBus) {
             window.EventBus.emit('animal:produced', {
+                animalId: this.id,
                 animal: this,
                 item: this.production.item,
                 amount: amount
@@ -169,14 +247,15 @@ class Animal {
         }
         
         console.log(`🐾 ${this.name} produjo ${amount} ${this.production.item}`);
+        return amount;
     }
     
-    feed(amount = 20) {
+    feed(amount = 20, item = null) {
         this.hunger = Math.min(this.config.maxHunger, this.hunger + amount);
         this.happiness = Math.min(this.config.maxHappiness, this.happiness + 10);
         
         if (window.EventBus) {
-            window.EventBus.emit('animal:fed', { animal: this, amount });
+            window.EventBus.emit('animal:fed', { animalId: this.id, animal: this, amount, item });
         }
     }
     
@@ -185,16 +264,27 @@ class Animal {
         this.energy = Math.max(0, this.energy - 5);
         
         if (window.EventBus) {
-            window.EventBus.emit('animal:petted', { animal: this });
+            window.EventBus.emit('animal:petted', { animalId: this.id, animal: this });
         }
     }
     
-    sleep() {
+    sleep(reason = 'exhausted') {
+        this.isAsleep = true;
+        this.sleepReason = reason;
         this.energy = Math.min(this.config.maxEnergy, this.energy + 30);
         this.hunger = Math.max(0, this.hunger - 10);
         
         if (window.EventBus) {
-            window.EventBus.emit('animal:slept', { animal: this });
+            window.EventBus.emit('animal:slept', { animalId: this.id, animal: this });
+        }
+    }
+    
+    wakeUp() {
+        this.isAsleep = false;
+        this.sleepReason = null;
+        
+        if (window.EventBus) {
+            window.EventBus.emit('animal:woke', { animalId: this.id, animal: this });
         }
     }
     
@@ -212,9 +302,19 @@ class Animal {
             happiness: this.happiness,
             hunger: this.hunger,
             energy: this.energy,
+            isAsleep: this.isAsleep,
+            sleepReason: this.sleepReason,
+            isNeglected: this.isNeglected(),
             
             production: this.production,
             lastProduction: this.lastProduction,
+            storedProduction: this.storedProduction,
+            
+            diet: this.diet,
+            traits: this.traits,
+            generation: this.generation,
+            parents: this.parents,
+            breedingCooldown: this.breedingCooldown,
             
             effects: this.effects,
             movementPattern: this.movementPattern
@@ -235,9 +335,19 @@ class Animal {
             happiness: this.happiness,
             hunger: this.hunger,
             energy: this.energy,
+            isAsleep: this.isAsleep,
+            sleepReason: this.sleepReason,
             
             production: this.production,
             lastProduction: this.lastProduction,
+            productionProgress: this.productionProgress,
+            storedProduction: this.storedProduction,
+            
+            diet: this.diet,
+            traits: this.traits,
+            generation: this.generation,
+            parents: this.parents,
+            breedingCooldown: this.breedingCooldown,
             
             effects: this.effects,
             movementPattern: this.movementPattern,
@@ -245,9 +355,65 @@ class Animal {
         };
     }
     
+    /**
+     * Crea un generador pseudoaleatorio determinista (mulberry32)
+     * @param {number} seed - Semilla
+     * @returns {Function} Función que devuelve números en [0, 1)
+     */
+    static createRng(seed) {
+        let state = seed >>> 0;
+        
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+    
+    /**
+     * Calcula los rasgos de una cría a partir de los de sus padres.
+     * Función pura: con la misma semilla devuelve siempre el mismo resultado.
+     * @param {Object} traitsA - Rasgos del primer progenitor
+     * @param {Object} traitsB - Rasgos del segundo progenitor
+     * @param {number} seed - Semilla de la mutación
+     * @returns {Object} Rasgos de la cría
+     */
+    static inheritTraits(traitsA, traitsB, seed) {
+        const rng = Animal.createRng(seed);
+        const { mutation, min, max } = Animal.TRAIT_LIMITS;
+        const traits = {};
+        
+        for (const trait of Object.keys(Animal.DEFAULT_TRAITS)) {
+            const a = traitsA?.[trait] ?? Animal.DEFAULT_TRAITS[trait];
+            const b = traitsB?.[trait] ?? Animal.DEFAULT_TRAITS[trait];
+            
+            // Promedio de los padres con una mutación de ±mutation
+            const value = ((a + b) / 2) * (1 + (rng() * 2 - 1) * mutation);
+            traits[trait] = Math.round(Math.min(max, Math.max(min, value)) * 100) / 100;
+        }
+        
+        return traits;
+    }
+    
     static deserialize(data) {
         return new Animal(data);
     }
 }
 
+// Rasgos heredables (multiplicadores; en happinessDecay, menos es mejor)
+Animal.DEFAULT_TRAITS = {
+    productionSpeed: 1,
+    productionAmount: 1,
+    happinessDecay: 1
+};
+
+// Límites de la herencia genética
+Animal.TRAIT_LIMITS = {
+    mutation: 0.15, // ±15% sobre el promedio de los padres
+    min: 0.5,
+    max: 2
+};
+
 window.Animal = Animal;
\ No newline at end of file
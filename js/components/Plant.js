@@ -1,6 +1,9 @@
 /**
  * Plant - Componente de planta
  * Representa una planta individual en el juego
+ *
+ * El crecimiento se acumula en `growthProgress` (0-1) con el tiempo de juego que
+ * le pasa su Plot, así que pausar o acelerar el tiempo afecta a la planta.
  */
 
 class Plant {
@@ -12,16 +15,17 @@ class Plant {
         this.description = data.description || '';
         this.emoji = data.emoji || '🌱';
         this.era = data.era || 'prehistoric';
+        this.plotId = data.plotId ?? null;
         
-        // Estado de crecimiento
+        // Estado de crecimiento (los datos de plants.js usan `stages`)
         this.growthStage = data.growthStage || 0;
-        this.maxStages = data.maxStages || 3;
+        this.maxStages = data.maxStages || data.stages || 3;
         this.plantedAt = data.plantedAt || Date.now();
         this.lastWatered = data.lastWatered || Date.now();
         
         // Recursos
-        this.waterLevel = data.waterLevel || 100;
-        this.nutrients = data.nutrients || 80;
+        this.waterLevel = data.waterLevel ?? 100;
+        this.nutrients = data.nutrients ?? 80;
         
         // Configuración de crecimiento
         this.growTime = data.growTime || 30000; // 30 segundos por defecto
@@ -31,6 +35,10 @@ class Plant {
         // Efectos especiales
         this.effects = data.effects || {};
         
+        // Estrés acumulado por efecto ({ dehydrated: ms, malnourished: ms })
+        this.stress = { ...data.stress };
+        this.isWithered = data.isWithered || false;
+        
         // Recompensas
         this.harvestYield = data.harvestYield || {
             seeds: 1,
@@ -44,10 +52,13 @@ class Plant {
         // Sonidos
         this.sounds = data.sounds || {};
         
+        // Progreso (0-1); las partidas antiguas lo derivaban del momento de siembra
+        this.growthProgress = data.growthProgress ?? Math.min(1, (Date.now() - this.plantedAt) / this.growTime);
+        
         // Estado interno
         this.isGrowing = false;
-        this.isReady = false;
-        this.isWatered = false;
+        this.isReady = this.growthProgress >= 1;
+        this.isWatered = this.waterLevel >= 50;
         
         console.log(`🌱 Plant: ${this.name} creada`);
     }
@@ -62,24 +73,54 @@ class Plant {
     
     /**
      * Actualiza el estado de la planta
-     * @param {number} currentTime - Tiempo actual en ms
+     * El agua y los nutrientes los gestiona el Plot (suelo) antes de llamar aquí.
+     * @param {number} elapsed - Tiempo de juego de la planta en ms
+     * @param {number} multiplier - Multiplicador externo de crecimiento (suelo, clima, auras...)
+     * @returns {Object} { stageChanged, becameReady, withered }
      */
-    update(currentTime = Date.now()) {
-        this.updateGrowth(currentTime);
-        this.updateResources(currentTime);
-        this.updateStatus();
+    update(elapsed, multiplier = 1) {
+        const result = { stageChanged: false, becameReady: false, withered: false };
+        if (this.isWithered) return result;
+        
+        this.isWatered = this.waterLevel >= 50;
+        this.updateStatus(elapsed);
+        
+        if (this.isWithered) {
+            result.withered = true;
+            return result;
+        }
+        
+        const previousStage = this.growthStage;
+        const wasReady = this.isReady;
+        this.updateGrowth(elapsed, multiplier);
+        
+        result.stageChanged = this.growthStage > previousStage;
+        result.becameReady = this.isReady && !wasReady;
+        return result;
     }
     
     /**
      * Actualiza el crecimiento de la planta
-     * @param {number} currentTime - Tiempo actual
+     * @param {number} elapsed - Tiempo de juego de la planta en ms
+     * @param {number} multiplier - Multiplicador externo de crecimiento
      */
-    updateGrowth(currentTime) {
-        const timeSincePlanted = currentTime - this.plantedAt;
-        const growthProgress = Math.min(1, timeSincePlanted / this.growTime);
+    updateGrowth(elapsed, multiplier = 1) {
+        if (this.isReady) return;
+        
+        const growth = (elapsed / this.growTime) * multiplier * this.getGrowthMultiplier();
+        this.setGrowthProgress(this.growthProgress + growth);
+    }
+    
+    /**
+     * Fija el progreso de crecimiento y recalcula etapa y madurez
+     * @param {number} progress - Progreso (0-1)
+     * @private
+     */
+    setGrowthProgress(progress) {
+        this.growthProgress = Math.min(1, Math.max(0, progress));
         
         // Calcular etapa actual basada en el progreso
-        const newStage = Math.floor(growthProgress * this.maxStages);
+        const newStage = Math.floor(this.growthProgress * this.maxStages);
         
         if (newStage > this.growthStage) {
             this.growthStage = newStage;
@@ -87,47 +128,34 @@ class Plant {
         }
         
         // Verificar si está lista para cosecha
-        this.isReady = growthProgress >= 1;
-    }
-    
-    /**
-     * Actualiza los recursos (agua y nutrientes)
-     * @param {number} currentTime - Tiempo actual
-     */
-    updateResources(currentTime) {
-        const timeSinceWatered = currentTime - this.lastWatered;
-        
-        // Decaída de agua (1% por segundo)
-        const waterDecay = (timeSinceWatered / 1000) * 1;
-        this.waterLevel = Math.max(0, this.waterLevel - waterDecay);
-        
-        // Decaída de nutrientes (0.5% por segundo)
-        const timeSincePlanted = currentTime - this.plantedAt;
-        const nutrientDecay = (timeSincePlanted / 1000) * 0.5;
-        this.nutrients = Math.max(0, this.nutrients - nutrientDecay);
-        
-        // Actualizar estado de regado
-        this.isWatered = this.waterLevel >= 50;
+        this.isReady = this.growthProgress >= 1;
+        this.isGrowing = !this.isReady && !this.isWithered;
     }
     
     /**
      * Actualiza el estado general de la planta
+     * @param {number} elapsed - Tiempo transcurrido desde la última actualización en ms
      */
-    updateStatus() {
-        // Verificar si tiene suficientes recursos para crecer
-        const hasEnoughWater = this.waterLevel >= (this.waterRequirement * 100);
-        const hasEnoughNutrients = this.nutrients >= (this.nutrientRequirement * 100);
-        
-        this.isGrowing = hasEnoughWater && hasEnoughNutrients && !this.isReady;
-        
-        // Aplicar efectos de estado
-        if (!hasEnoughWater) {
-            this.applyStressEffect('dehydrated');
+    updateStatus(elapsed = 0) {
+        // Verificar si tiene suficientes recursos para crecer sin estrés
+        const waterThreshold = this.waterRequirement * 100;
+        const nutrientThreshold = this.nutrientRequirement * 100;
+        
+        // Aplicar efectos de estado (el estrés crece con el déficit)
+        if (this.waterLevel < waterThreshold) {
+            this.applyStressEffect('dehydrated', elapsed * (1 - this.waterLevel / waterThreshold));
+        } else {
+            this.removeStressEffect('dehydrated');
         }
         
-        if (!hasEnoughNutrients) {
-            this.applyStressEffect('malnourished');
+        if (this.nutrients < nutrientThreshold) {
+            this.applyStressEffect('malnourished', elapsed * (1 - this.nutrients / nutrientThreshold));
+        } else {
+            this.removeStressEffect('malnourished');
         }
+        
+        // Una planta estresada sigue creciendo, pero más despacio (ver getStressMultiplier)
+        this.isGrowing = !this.isReady && !this.isWithered;
     }
     
     /**
@@ -160,10 +188,10 @@ class Plant {
     
     /**
      * Acelera el crecimiento
-     * @param {number} timeReduction - Tiempo a reducir en ms
+     * @param {number} timeReduction - Tiempo de crecimiento a adelantar en ms
      */
     accelerate(timeReduction) {
-        this.plantedAt = Math.max(this.plantedAt - timeReduction, 0);
+        this.setGrowthProgress(this.growthProgress + timeReduction / this.growTime);
         
         // Efecto visual/sónico
         this.onAccelerated();
@@ -171,39 +199,38 @@ class Plant {
         return this.getGrowthProgress();
     }
     
+    /**
+     * Retrasa el crecimiento (p. ej. por daños de tormenta)
+     * @param {number} fraction - Fracción del crecimiento total que se pierde
+     */
+    setBack(fraction) {
+        if (this.isReady) return;
+        
+        this.growthProgress = Math.max(0, this.growthProgress - fraction);
+    }
+    
     /**
      * Obtiene el progreso de crecimiento (0-1)
      */
     getGrowthProgress() {
-        const timeSincePlanted = Date.now() - this.plantedAt;
-        return Math.min(1, timeSincePlanted / this.growTime);
+        return this.growthProgress;
     }
     
     /**
-     * Obtiene el tiempo restante para cosecha en ms
+     * Obtiene el tiempo de crecimiento restante para cosecha en ms
      */
     getTimeToHarvest() {
         if (this.isReady) return 0;
         
-        const timeSincePlanted = Date.now() - this.plantedAt;
-        return Math.max(0, this.growTime - timeSincePlanted);
+        return Math.max(0, (1 - this.growthProgress) * this.growTime);
     }
     
     /**
      * Obtiene el multiplicador de crecimiento actual
      */
     getGrowthMultiplier() {
-        let multiplier = 1.0;
-        
-        // Efectos de recursos
-        const waterFactor = this.waterLevel / 100;
-        const nutrientFactor = this.nutrients / 100;
-        const resourceFactor = Math.min(waterFactor, nutrientFactor);
-        
-        // Penalización por recursos insuficientes
-        if (resourceFactor < 0.5) {
-            multiplier *= resourceFactor * 2;
-        }
+        // Por debajo de sus requisitos de agua o nutrientes la planta se estresa
+        let multiplier = this.getStressMultiplier('growth');
         
         // Efectos especiales de la planta
         for (const [effectName, effectValue] of Object.entries(this.effects)) {
@@ -222,8 +249,11 @@ class Plant {
     isEffectActive(effectName) {
         switch (effectName) {
             case 'sunBlessing':
-                // Activo durante el día (simulado)
+                // Activo durante el día del juego
                 return this.isDayTime();
+            case 'nocturnal':
+                // Activo de noche
+                return !this.isDayTime();
             case 'waterBlessing':
                 // Activo cuando está bien regada
                 return this.waterLevel >= 80;
@@ -236,27 +266,28 @@ class Plant {
     }
     
     /**
-     * Simula si es de día (para efectos diurnos)
+     * Indica si es de día según el ciclo de TimeSystem (para efectos diurnos)
      * @private
      */
     isDayTime() {
-        const hour = new Date().getHours();
-        return hour >= 6 && hour < 18;
+        return window.timeSystem ? window.timeSystem.isDayTime() : true;
     }
     
     /**
-     * Aplica efecto de estrés
+     * Aplica efecto de estrés (ver window.plantStressEffects)
+     * @param {string} effectType - dehydrated o malnourished
+     * @param {number} amount - Estrés a acumular en ms
      * @private
      */
-    applyStressEffect(effectType) {
-        // Implementar efectos de estrés específicos
-        switch (effectType) {
-            case 'dehydrated':
-                // Reduce el crecimiento
-                break;
-            case 'malnourished':
-                // Reduce la calidad de la cosecha
-                break;
+    applyStressEffect(effectType, amount = 0) {
+        const effect = window.plantStressEffects?.[effectType];
+        if (!effect || this.isWithered) return;
+        
+        this.stress[effectType] = (this.stress[effectType] || 0) + amount;
+        
+        // Un estrés prolongado marchita la planta
+        if (this.stress[effectType] >= effect.witherAfter) {
+            this.wither(effectType);
         }
     }
     
@@ -265,7 +296,38 @@ class Plant {
      * @private
      */
     removeStressEffect(effectType) {
-        // Implementar remoción de efectos de estrés
+        delete this.stress[effectType];
+    }
+    
+    /**
+     * Obtiene el multiplicador de los efectos de estrés activos
+     * @param {string} stat - growth o yield
+     * @returns {number} Multiplicador
+     */
+    getStressMultiplier(stat) {
+        return Object.keys(this.stress).reduce((multiplier, effectType) => {
+            return multiplier * (window.plantStressEffects?.[effectType]?.[stat] ?? 1);
+        }, 1);
+    }
+    
+    /**
+     * Marchita la planta: deja de crecer y ya no se puede cosechar
+     * @param {string} cause - Efecto de estrés que la ha marchitado
+     */
+    wither(cause) {
+        this.isWithered = true;
+        this.isGrowing = false;
+        this.isReady = false;
+        this.stress = {};
+        
+        if (window.EventBus) {
+            window.EventBus.emit('plant:withered', {
+                plotId: this.plotId,
+                plant: this,
+                cause,
+                timestamp: Date.now()
+            });
+        }
     }
     
     /**
@@ -276,6 +338,7 @@ class Plant {
         // Notificar al sistema de eventos
         if (window.EventBus) {
             window.EventBus.emit('plant:stage-changed', {
+                plotId: this.plotId,
                 plant: this,
                 newStage: this.growthStage,
                 timestamp: Date.now()
@@ -283,8 +346,8 @@ class Plant {
         }
         
         // Reproducir sonido de crecimiento si está disponible
-        if (window.AudioManager && this.sounds.growth) {
-            window.AudioManager.play(this.sounds.growth, { volume: 0.5 });
+        if (window.audioManager && this.sounds.growth) {
+            window.audioManager.play(this.sounds.growth, { volume: 0.5 });
         }
     }
     
@@ -296,14 +359,16 @@ class Plant {
         // Efecto visual
         if (window.EventBus) {
             window.EventBus.emit('plant:accelerated', {
+                plotId: this.plotId,
                 plant: this,
+                progress: this.growthProgress * 100,
                 timestamp: Date.now()
             });
         }
         
         // Sonido de aceleración
-        if (window.AudioManager) {
-            window.AudioManager.play('temporal-pulse', { volume: 0.6 });
+        if (window.audioManager) {
+            window.audioManager.play('temporal-pulse', { volume: 0.6 });
         }
     }
     
@@ -325,6 +390,15 @@ class Plant {
     calculateHarvestRewards() {
         const baseRewards = { ...this.harvestYield };
         
+        // La desnutrición reduce la calidad de la cosecha
+        const stressYield = this.getStressMultiplier('yield');
+        if (stressYield !== 1) {
+            baseRewards.resources = { ...baseRewards.resources };
+            for (const [resource, amount] of Object.entries(baseRewards.resources)) {
+                baseRewards.resources[resource] = Math.floor(amount * stressYield);
+            }
+        }
+        
         // Aplicar bonus por estado de la planta
         const healthFactor = Math.min(this.waterLevel, this.nutrients) / 100;
         
@@ -358,9 +432,11 @@ class Plant {
             description: this.description,
             emoji: this.emoji,
             era: this.era,
+            plotId: this.plotId,
             
             growthStage: this.growthStage,
             maxStages: this.maxStages,
+            growthProgress: this.growthProgress,
             plantedAt: this.plantedAt,
             lastWatered: this.lastWatered,
             
@@ -372,6 +448,8 @@ class Plant {
             nutrientRequirement: this.nutrientRequirement,
             
             effects: this.effects,
+            stress: { ...this.stress },
+            isWithered: this.isWithered,
             harvestYield: this.harvestYield,
             appearance: this.appearance,
             sounds: this.sounds
@@ -406,6 +484,8 @@ class Plant {
             waterLevel: this.waterLevel,
             nutrients: this.nutrients,
             isWatered: this.isWatered,
+            stress: { ...this.stress },
+            isWithered: this.isWithered,
             
             effects: this.effects,
             harvestYield: this.harvestYield,
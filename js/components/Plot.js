@@ -1,22 +1,34 @@
 /**
  * Plot - Componente de celda de granja
  * Representa una celda individual donde se pueden plantar cultivos
+ *
+ * El plot gestiona el suelo (agua, nutrientes, abono, tipo y calidad) y pasa a su
+ * Plant el tiempo de juego y los niveles del suelo en cada actualización.
  */
 
 class Plot {
     constructor(id, config = {}) {
         // Identificación
         this.id = id;
-        this.position = this.calculatePosition(id);
+        this.row = config.row;
+        this.col = config.col;
+        this.position = { x: this.col, y: this.row };
         
         // Estado
-        this.state = 'empty'; // empty, planted, growing, ready, harvested
+        this.state = 'empty'; // empty, planted, growing, ready, withered
         this.plant = null;
         
         // Recursos del suelo
-        this.waterLevel = config.waterLevel || 50;
-        this.nutrients = config.nutrients || 50;
-        this.soilQuality = config.soilQuality || 100;
+        this.soilType = config.soilType || window.rollSoilType?.() || 'standard';
+        this.waterLevel = config.waterLevel ?? 50;
+        this.nutrients = config.nutrients ?? 50;
+        this.soilQuality = config.soilQuality ?? 100;
+        
+        // Reserva de abono de liberación lenta ({ type, remaining, rate })
+        this.fertilizer = null;
+        
+        // Último cultivo cosechado ({ type, era, streak }) para la rotación
+        this.lastCrop = null;
         
         // Historial
         this.plantedAt = null;
@@ -27,9 +39,15 @@ class Plot {
         this.config = {
             maxWater: 100,
             maxNutrients: 100,
-            waterDecayRate: config.waterDecayRate || 0.5,
-            nutrientDecayRate: config.nutrientDecayRate || 0.3,
-            soilType: config.soilType || 'standard', // standard, fertile, sandy, rocky
+            waterDecayRate: 0.5, // Por segundo de juego
+            nutrientDecayRate: 0.3,
+            
+            // Calidad del suelo: cada cosecha repetida del mismo cultivo la degrada más,
+            // cosechar un cultivo de otra era la recupera
+            monocropPenalty: 5,
+            rotationBonus: 15,
+            minQuality: 30,
+            maxQuality: 100,
             ...config
         };
         
@@ -41,93 +59,65 @@ class Plot {
         this.onPlantChange = config.onPlantChange || null;
         
         // Inicializar según tipo de suelo
-        this.initializeSoil();
+        this.initializeSoil(config);
         
         console.log(`🌱 Plot ${this.id}: Celda creada en posición ${this.position.x},${this.position.y}`);
     }
     
     /**
-     * Calcula la posición (x, y) basada en el ID
+     * Aplica los niveles iniciales del tipo de suelo (ver window.soilTypes)
+     * @param {Object} config - Configuración del plot (los niveles explícitos mandan)
      * @private
      */
-    calculatePosition(id) {
-        const gridWidth = 8; // 8 columnas
-        const x = id % gridWidth;
-        const y = Math.floor(id / gridWidth);
-        return { x, y };
+    initializeSoil(config) {
+        const soil = this.getSoilData();
+        
+        if (soil.initialWater !== undefined && config.waterLevel === undefined) {
+            this.waterLevel = soil.initialWater;
+        }
+        if (soil.initialNutrients !== undefined && config.nutrients === undefined) {
+            this.nutrients = soil.initialNutrients;
+        }
     }
     
     /**
-     * Inicializa el suelo según su tipo
-     * @private
+     * Obtiene los datos del tipo de suelo del plot
+     * @returns {Object} Datos del suelo
      */
-    initializeSoil() {
-        const soilTypes = {
-            standard: {
-                waterRetention: 1.0,
-                nutrientCapacity: 1.0,
-                growthMultiplier: 1.0
-            },
-            fertile: {
-                waterRetention: 1.2,
-                nutrientCapacity: 1.3,
-                growthMultiplier: 1.25,
-                initialNutrients: 80
-            },
-            sandy: {
-                waterRetention: 0.6,
-                nutrientCapacity: 0.8,
-                growthMultiplier: 0.9,
-                initialWater: 30
-            },
-            rocky: {
-                waterRetention: 0.8,
-                nutrientCapacity: 0.6,
-                growthMultiplier: 0.8,
-                initialNutrients: 30
-            }
-        };
-        
-        const soilConfig = soilTypes[this.config.soilType];
-        if (soilConfig) {
-            this.config = { ...this.config, ...soilConfig };
-            
-            // Aplicar valores iniciales
-            if (soilConfig.initialWater !== undefined) {
-                this.waterLevel = soilConfig.initialWater;
-            }
-            if (soilConfig.initialNutrients !== undefined) {
-                this.nutrients = soilConfig.initialNutrients;
-            }
-        }
+    getSoilData() {
+        return window.getSoilData?.(this.soilType) || { waterRetention: 1, nutrientCapacity: 1, growthMultiplier: 1 };
     }
     
     /**
      * Planta una semilla en el plot
-     * @param {Object} plantData - Datos de la planta a sembrar
+     * @param {Object} plantData - Datos de la planta a sembrar (ver window.plantData)
      * @returns {boolean} true si se plantó exitosamente
      */
-    plant(plantData) {
+    plantSeed(plantData) {
         if (!this.isEmpty()) {
             console.warn(`⚠️ Plot ${this.id}: No se puede plantar, el plot no está vacío`);
             return false;
         }
         
-        // Crear instancia de planta
+        // Crear instancia de planta (el ID del catálogo es su tipo)
+        const { id: type, ...data } = plantData;
         this.plant = new Plant({
-            ...plantData,
+            ...data,
+            type: data.type || type,
+            plotId: this.id,
             plantedAt: Date.now(),
             lastWatered: Date.now()
         });
         
+        // Sembrar incluye preparar la tierra
+        this.waterLevel = this.plant.waterLevel;
+        this.nutrients = this.plant.nutrients;
+        
         // Actualizar estado
         this.state = 'planted';
         this.plantedAt = Date.now();
         this.lastWatered = Date.now();
         
-        // Aplicar efectos de suelo
-        this.applySoilEffects();
-        
         // Notificar cambio
         this.notifyStateChange();
         this.notifyPlantChange();
@@ -149,12 +139,13 @@ class Plot {
         }
         
         // Regar planta
-        const newWaterLevel = this.plant.water(amount);
-        this.waterLevel = newWaterLevel;
+        this.waterLevel = Math.min(this.config.maxWater, this.waterLevel + amount);
+        this.plant.water(amount);
+        this.plant.waterLevel = this.waterLevel;
         this.lastWatered = Date.now();
         
         // Aplicar bonus por regado oportuno
-        if (this.plant.waterLevel > 80) {
+        if (this.waterLevel > 80) {
             this.addEffect('well-watered', {
                 growthMultiplier: 1.1,
                 duration: 30000 // 30 segundos
@@ -167,22 +158,25 @@ class Plot {
     
     /**
      * Aplica fertilizante al plot
-     * @param {number} amount - Cantidad de nutrientes
+     * @param {number} amount - Cantidad de nutrientes inmediatos
+     * @param {Object|null} reserve - Reserva de liberación lenta { type, remaining, rate }
      * @returns {number} Nuevo nivel de nutrientes
      */
-    fertilize(amount = 20) {
+    fertilize(amount = 20, reserve = null) {
         if (!this.hasPlant()) {
             // Fertilizar suelo vacío
             this.nutrients = Math.min(this.config.maxNutrients, this.nutrients + amount * 0.3);
             return this.nutrients;
         }
         
-        // Fertilizar planta
-        const newNutrientLevel = this.plant.fertilize(amount);
-        this.nutrients = newNutrientLevel;
+        // Fertilizar planta (la reserva sustituye a la de un abono anterior)
+        this.nutrients = Math.min(this.config.maxNutrients, this.nutrients + amount);
+        this.plant.fertilize(amount);
+        this.plant.nutrients = this.nutrients;
+        this.fertilizer = reserve;
         
         // Aplicar bonus por fertilización
-        if (this.plant.nutrients > 80) {
+        if (this.nutrients > 80) {
             this.addEffect('well-fertilized', {
                 qualityMultiplier: 1.15,
                 duration: 60000 // 1 minuto
@@ -213,10 +207,11 @@ class Plot {
         const oldPlant = this.plant;
         this.plant = null;
         this.state = 'empty';
+        this.plantedAt = null;
         this.lastHarvested = Date.now();
         
-        // Reducir calidad del suelo
-        this.soilQuality = Math.max(50, this.soilQuality - 5);
+        // El suelo se desgasta o se recupera según la rotación
+        this.rotateSoil(oldPlant);
         
         // Limpiar efectos
         this.effects.clear();
@@ -229,25 +224,57 @@ class Plot {
         return finalRewards;
     }
     
+    /**
+     * Retira una planta marchita y deja el plot vacío
+     * @returns {Plant|null} Planta retirada o null si no había una marchita
+     */
+    clear() {
+        if (this.state !== 'withered' || !this.hasPlant()) return null;
+        
+        const oldPlant = this.plant;
+        this.plant = null;
+        this.state = 'empty';
+        this.plantedAt = null;
+        this.effects.clear();
+        
+        this.notifyStateChange();
+        this.notifyPlantChange();
+        
+        console.log(`🧹 Plot ${this.id}: ${oldPlant.name} marchita retirada`);
+        return oldPlant;
+    }
+    
     /**
      * Actualiza el estado del plot
-     * @param {number} currentTime - Tiempo actual
+     * @param {number} elapsed - Tiempo de juego transcurrido para las plantas en ms
+     * @param {Object} conditions - Condiciones externas (clima, estación, auras...)
+     * @param {number} conditions.waterDecay - Multiplicador de evaporación
+     * @param {number} conditions.nutrientDecay - Multiplicador de desgaste de nutrientes
+     * @param {number} conditions.waterGain - Agua aportada (lluvia)
+     * @param {number} conditions.nutrientGain - Nutrientes aportados (ceniza, crecidas)
+     * @param {number} conditions.growthMultiplier - Multiplicador de crecimiento
+     * @returns {Object} { stageChanged, becameReady, withered }
      */
-    update(currentTime = Date.now()) {
-        // Actualizar planta si existe
-        if (this.hasPlant()) {
-            this.plant.update(currentTime);
-            this.syncPlantState();
-        }
+    update(elapsed, conditions = {}) {
+        const result = { stageChanged: false, becameReady: false, withered: false };
+        
+        // Actualizar efectos
+        this.updateEffects(Date.now());
         
         // Decaída de recursos del suelo
-        this.updateSoilResources(currentTime);
+        this.updateSoilResources(elapsed, conditions);
         
-        // Actualizar efectos
-        this.updateEffects(currentTime);
+        // Actualizar planta si existe (las marchitas ya no cambian)
+        if (!this.hasPlant() || this.state === 'withered') return result;
         
-        // Actualizar estado del plot basado en la planta
-        this.updatePlotState();
+        this.plant.waterLevel = this.waterLevel;
+        this.plant.nutrients = this.nutrients;
+        
+        const multiplier = (conditions.growthMultiplier ?? 1) * this.getGrowthMultiplier();
+        Object.assign(result, this.plant.update(elapsed, multiplier));
+        
+        this.syncPlantState();
+        return result;
     }
     
     /**
@@ -257,12 +284,12 @@ class Plot {
     syncPlantState() {
         if (!this.plant) return;
         
-        // Sincronizar recursos
-        this.waterLevel = this.plant.waterLevel;
-        this.nutrients = this.plant.nutrients;
-        
         // Sincronizar estado de crecimiento
-        if (this.plant.isReady && this.state !== 'ready') {
+        if (this.plant.isWithered && this.state !== 'withered') {
+            this.state = 'withered';
+            this.fertilizer = null;
+            this.notifyStateChange();
+        } else if (this.plant.isReady && this.state !== 'ready') {
             this.state = 'ready';
             this.notifyStateChange();
         } else if (this.plant.isGrowing && this.state === 'planted') {
@@ -273,26 +300,42 @@ class Plot {
     
     /**
      * Actualiza los recursos del suelo
+     * El tipo de suelo retiene más o menos agua y nutrientes.
      * @private
      */
-    updateSoilResources(currentTime) {
-        const timeSinceLastUpdate = currentTime - (this.lastWatered || currentTime);
+    updateSoilResources(elapsed, conditions = {}) {
+        const { waterDecay = 1, nutrientDecay = 1, waterGain = 0, nutrientGain = 0 } = conditions;
+        const soil = this.getSoilData();
+        const seconds = elapsed / 1000;
+        
+        // Agua: se evapora y la lluvia la repone
+        const water = seconds * this.config.waterDecayRate * waterDecay / soil.waterRetention;
+        this.waterLevel = Math.min(this.config.maxWater, Math.max(0, this.waterLevel - water + waterGain));
+        
+        // Nutrientes (más lentos si no hay planta) y liberación del abono
+        const nutrientDecayRate = this.hasPlant() ?
+            this.config.nutrientDecayRate :
+            this.config.nutrientDecayRate * 0.3;
         
-        // Decaída de agua
-        if (this.waterLevel > 0) {
-            const waterDecay = (timeSinceLastUpdate / 1000) * this.config.waterDecayRate;
-            this.waterLevel = Math.max(0, this.waterLevel - waterDecay);
-        }
+        const nutrients = seconds * nutrientDecayRate * nutrientDecay / soil.nutrientCapacity;
+        const released = this.releaseFertilizer(elapsed);
+        this.nutrients = Math.min(this.config.maxNutrients, Math.max(0, this.nutrients - nutrients + nutrientGain + released));
+    }
+    
+    /**
+     * Libera los nutrientes de la reserva de abono
+     * @param {number} elapsed - Tiempo de juego transcurrido en ms
+     * @returns {number} Nutrientes liberados
+     * @private
+     */
+    releaseFertilizer(elapsed) {
+        if (!this.fertilizer || elapsed <= 0) return 0;
         
-        // Decaída de nutrientes (más lenta si no hay planta)
-        const nutrientDecayRate = this.hasPlant() ? 
-            this.config.nutrientDecayRate : 
-            this.config.nutrientDecayRate * 0.3;
-            
-        if (this.nutrients > 0) {
-            const nutrientDecay = (timeSinceLastUpdate / 1000) * nutrientDecayRate;
-            this.nutrients = Math.max(0, this.nutrients - nutrientDecay);
-        }
+        const released = Math.min(this.fertilizer.remaining, this.fertilizer.rate * elapsed);
+        const remaining = this.fertilizer.remaining - released;
+        this.fertilizer = remaining > 0.01 ? { ...this.fertilizer, remaining } : null;
+        
+        return released;
     }
     
     /**
@@ -309,26 +352,88 @@ class Plot {
     }
     
     /**
-     * Actualiza el estado del plot
-     * @private
+     * Daña la planta: pierde nutrientes y, si no está madura, crecimiento
+     * @param {number} nutrientLoss - Nutrientes que se pierden
+     * @param {number} growthSetback - Fracción del crecimiento que se pierde
+     */
+    damage(nutrientLoss, growthSetback) {
+        if (!this.hasPlant()) return;
+        
+        this.nutrients = Math.max(0, this.nutrients - nutrientLoss);
+        this.plant.nutrients = this.nutrients;
+        this.plant.setBack(growthSetback);
+    }
+    
+    /**
+     * Acelera el crecimiento de la planta
+     * @param {number} timeReduction - Tiempo de crecimiento a adelantar en ms
+     * @returns {number|null} Progreso (0-1) o null si no hay planta que acelerar
      */
-    updatePlotState() {
-        // El estado principalmente se deriva del estado de la planta
-        // pero podría haber estados especiales del plot (envenenado, bendecido, etc.)
+    accelerate(timeReduction) {
+        if (!this.hasPlant() || this.state === 'withered') return null;
+        
+        const progress = this.plant.accelerate(timeReduction);
+        this.syncPlantState();
+        
+        return progress;
     }
     
     /**
-     * Aplica efectos del suelo
+     * Multiplicador de crecimiento del plot: tipo de suelo, calidad y efectos
+     * @returns {number} Multiplicador
+     */
+    getGrowthMultiplier() {
+        let multiplier = (this.getSoilData().growthMultiplier || 1) * this.getSoilQualityFactor();
+        
+        for (const effect of this.effects.values()) {
+            if (effect.growthMultiplier) {
+                multiplier *= effect.growthMultiplier;
+            }
+        }
+        
+        return multiplier;
+    }
+    
+    /**
+     * Factor de la calidad del suelo (100% de calidad = 1, 0% = 0.5)
+     * @returns {number} Factor
+     */
+    getSoilQualityFactor() {
+        return 0.5 + 0.5 * (this.soilQuality / this.config.maxQuality);
+    }
+    
+    /**
+     * Cambia la calidad del suelo al cosechar: el monocultivo lo agota y rotar
+     * con cultivos de otra era lo recupera
+     * @param {Plant} plant - Planta cosechada
      * @private
      */
-    applySoilEffects() {
-        if (!this.hasPlant()) return;
+    rotateSoil(plant) {
+        const lastCrop = this.lastCrop;
+        const quality = this.soilQuality;
+        
+        let streak = 1;
+        let change = 0;
+        
+        if (lastCrop?.type === plant.type) {
+            streak = lastCrop.streak + 1;
+            change = -this.config.monocropPenalty * lastCrop.streak;
+        } else if (lastCrop && lastCrop.era !== plant.era) {
+            change = this.config.rotationBonus;
+        }
         
-        // Aplicar multiplicador de crecimiento del suelo
-        this.plant.growTime /= this.config.growthMultiplier;
+        this.soilQuality = Math.min(this.config.maxQuality, Math.max(this.config.minQuality, quality + change));
+        this.lastCrop = { type: plant.type, era: plant.era, streak };
         
-        // Aplicar retención de agua
-        this.plant.waterRequirement /= this.config.waterRetention;
+        if (this.soilQuality !== quality && window.EventBus) {
+            window.EventBus.emit('soil:changed', {
+                plotId: this.id,
+                soilType: this.soilType,
+                oldQuality: quality,
+                newQuality: this.soilQuality,
+                reason: change < 0 ? 'monocrop' : 'rotation'
+            });
+        }
     }
     
     /**
@@ -339,7 +444,7 @@ class Plot {
         const finalRewards = { ...rewards };
         
         // Bonus por calidad del suelo
-        const soilBonus = this.soilQuality / 100;
+        const soilBonus = this.getSoilQualityFactor();
         
         // Aplicar bonus a recursos
         if (finalRewards.resources) {
@@ -376,10 +481,10 @@ class Plot {
      * @param {Object} effectData - Datos del efecto
      */
     addEffect(effectId, effectData) {
-        const expiresAt = effectData.duration ? 
-            Date.now() + effectData.duration : 
+        const expiresAt = effectData.duration ?
+            Date.now() + effectData.duration :
             null;
-            
+        
         this.effects.set(effectId, {
             ...effectData,
             expiresAt
@@ -452,7 +557,7 @@ class Plot {
      * Verifica si se puede cosechar
      */
     canHarvest() {
-        return this.hasPlant() && this.plant.isReady;
+        return this.hasPlant() && this.plant.isReady && !this.plant.isWithered;
     }
     
     /**
@@ -474,7 +579,9 @@ class Plot {
             
             waterLevel: this.waterLevel,
             nutrients: this.nutrients,
+            soilType: this.soilType,
             soilQuality: this.soilQuality,
+            fertilizer: this.fertilizer,
             
             plantedAt: this.plantedAt,
             lastWatered: this.lastWatered,
@@ -491,45 +598,110 @@ class Plot {
     serialize() {
         return {
             id: this.id,
+            row: this.row,
+            col: this.col,
             state: this.state,
             plant: this.plant ? this.plant.serialize() : null,
             
             waterLevel: this.waterLevel,
             nutrients: this.nutrients,
+            soilType: this.soilType,
             soilQuality: this.soilQuality,
+            fertilizer: this.fertilizer,
+            lastCrop: this.lastCrop,
             
             plantedAt: this.plantedAt,
             lastWatered: this.lastWatered,
             lastHarvested: this.lastHarvested,
             
-            config: this.config
+            effects: Array.from(this.effects)
         };
     }
     
     /**
      * Deserializa un plot desde datos guardados
+     * Espera el formato de serialize(); SaveSystem migra los plots de partidas antiguas.
+     * @param {Object} data - Plot serializado
+     * @param {Object} config - Configuración adicional del plot
      */
     static deserialize(data, config = {}) {
-        const plot = new Plot(data.id, { ...config, ...data.config });
+        const plot = new Plot(data.id, {
+            ...config,
+            row: data.row,
+            col: data.col,
+            soilType: data.soilType
+        });
         
         // Restaurar estado
         plot.state = data.state || 'empty';
-        plot.waterLevel = data.waterLevel || 50;
-        plot.nutrients = data.nutrients || 50;
-        plot.soilQuality = data.soilQuality || 100;
+        plot.waterLevel = data.waterLevel ?? 50;
+        plot.nutrients = data.nutrients ?? 50;
+        plot.soilQuality = data.soilQuality ?? 100;
+        plot.fertilizer = data.fertilizer || null;
+        plot.lastCrop = data.lastCrop || null;
         
-        plot.plantedAt = data.plantedAt;
-        plot.lastWatered = data.lastWatered;
-        plot.lastHarvested = data.lastHarvested;
+        plot.plantedAt = data.plantedAt ?? null;
+        plot.lastWatered = data.lastWatered ?? null;
+        plot.lastHarvested = data.lastHarvested ?? null;
+        plot.effects = new Map(data.effects || []);
         
         // Restaurar planta si existe
         if (data.plant) {
-            plot.plant = Plant.deserialize(data.plant);
+            plot.plant = Plot.restorePlant(data.plant, plot);
+        } else if (plot.state !== 'empty') {
+            plot.state = 'empty';
         }
         
         return plot;
     }
+    
+    /**
+     * Reconstruye la planta de un plot guardado completándola con el catálogo
+     * (las partidas antiguas solo guardaban tipo, nombre y rendimiento)
+     * @private
+     */
+    static restorePlant(plantData, plot) {
+        const { id: type, ...catalog } = window.getPlantData?.(plantData.type) || {};
+        
+        return Plant.deserialize({
+            ...catalog,
+            type,
+            ...plantData,
+            plotId: plot.id,
+            waterLevel: plot.waterLevel,
+            nutrients: plot.nutrients,
+            isWithered: plot.state === 'withered' || plantData.isWithered
+        });
+    }
+    
+    /**
+     * ID canónico de un plot según su posición en el grid
+     * @param {number} row - Fila
+     * @param {number} col - Columna
+     * @returns {string} ID del plot (plot_fila_columna)
+     */
+    static createId(row, col) {
+        return `plot_${row}_${col}`;
+    }
+    
+    /**
+     * Crea los plots vacíos de una granja nueva en el formato de serialize()
+     * @param {number} rows - Filas del grid
+     * @param {number} columns - Columnas del grid
+     * @returns {Array} Plots serializados
+     */
+    static createGrid(rows = 6, columns = 8) {
+        const plots = [];
+        
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < columns; col++) {
+                plots.push(new Plot(Plot.createId(row, col), { row, col }).serialize());
+            }
+        }
+        
+        return plots;
+    }
 }
 
 // Exportar para uso global
-window.Plot = Plot;
\ No newline at end of file
+window.Plot = Plot;
@@ -22,7 +22,9 @@ class DOMRenderer {
             enableAnimations: true,
             enableTransitions: true,
             enableCache: true,
-            debugMode: false
+            debugMode: false,
+            animalFieldWidth: 800, // Espacio de coordenadas de Animal
+            animalFieldHeight: 600
         };
 
         // Bind de métodos
@@ -46,6 +48,7 @@ class DOMRenderer {
         this.cacheElement('loading-screen', '#loading-screen');
         this.cacheElement('main-menu', '#main-menu');
         this.cacheElement('game-ui', '#game-ui');
+        this.cacheElement('farm-area', '#farm-area');
         this.cacheElement('farm-grid', '#farm-grid');
         this.cacheElement('time-portal', '#time-portal');
 
@@ -340,14 +343,15 @@ class DOMRenderer {
      * @returns {HTMLElement} Elemento del plot
      */
     createPlotElement(plot, clickHandler) {
-        const classes = ['plot'];
+        const classes = ['plot', `plot--soil-${plot.soilType || 'standard'}`];
         if (plot.state) classes.push(`plot--${plot.state}`);
 
         const plotEl = this.createElement('div', {
             className: classes,
             dataset: {
                 plotId: plot.id,
-                plotState: plot.state
+                plotState: plot.state,
+                soilType: plot.soilType || 'standard'
             }
         });
 
@@ -355,12 +359,12 @@ class DOMRenderer {
         if (plot.plant) {
             const plantEl = this.createElement('div', {
                 className: ['plant', `plant--${plot.plant.type || 'default'}`],
-                textContent: plot.plant.emoji || '🌱'
+                textContent: this.getPlotPlantEmoji(plot.state, plot.plant)
             });
             plotEl.appendChild(plantEl);
 
             // Indicador de crecimiento
-            if (plot.growthStage !== undefined && plot.maxGrowthStage > 0) {
+            if (plot.plant.maxStages > 0) {
                 const growthIndicator = this.createElement('div', {
                     className: 'plot__growth-indicator'
                 });
@@ -368,7 +372,7 @@ class DOMRenderer {
                 const progress = this.createElement('div', {
                     className: 'plot__growth-progress',
                     style: {
-                        width: `${(plot.growthStage / plot.maxGrowthStage) * 100}%`
+                        width: `${(plot.plant.growthStage / plot.plant.maxStages) * 100}%`
                     }
                 });
 
@@ -383,6 +387,9 @@ class DOMRenderer {
             plotEl.appendChild(soilEl);
         }
 
+        this.updatePlotStress(plotEl, plot.plant?.stress);
+        this.updatePlotSoil(plotEl, plot.soilType, plot.soilQuality);
+
         // Event listener
         if (clickHandler) {
             plotEl.addEventListener('click', () => clickHandler(plot));
@@ -391,6 +398,53 @@ class DOMRenderer {
         return plotEl;
     }
 
+    /**
+     * Emoji de la planta de un plot (los cultivos marchitos se ven secos)
+     * @private
+     */
+    getPlotPlantEmoji(state, plant) {
+        return state === 'withered' ? '🥀' : (plant.emoji || '🌱');
+    }
+
+    /**
+     * Describe el suelo del plot para su tooltip
+     * @private
+     */
+    updatePlotSoil(plotEl, soilType, soilQuality = 100) {
+        const soil = window.getSoilData?.(soilType);
+        if (!soil) return;
+
+        plotEl.dataset.soil = `${soil.emoji} ${soil.name} · Calidad ${Math.round(soilQuality)}%`;
+        this.updatePlotTitle(plotEl);
+    }
+
+    /**
+     * Compone el tooltip del plot (suelo y aura)
+     * @private
+     */
+    updatePlotTitle(plotEl) {
+        const title = [plotEl.dataset.soil, plotEl.dataset.aura].filter(Boolean).join('\n');
+
+        if (title) {
+            plotEl.setAttribute('title', title);
+        } else {
+            plotEl.removeAttribute('title');
+        }
+    }
+
+    /**
+     * Marca un plot con planta estresada (falta de agua o nutrientes)
+     * @private
+     */
+    updatePlotStress(plotEl, stress = {}) {
+        const effects = Object.keys(stress)
+            .map(effectType => window.plantStressEffects?.[effectType])
+            .filter(Boolean);
+
+        plotEl.classList.toggle('plot--stressed', effects.length > 0);
+        plotEl.dataset.stress = effects.map(effect => effect.emoji).join('');
+    }
+
     /**
      * Actualiza un plot específico
      * @param {number} plotId - ID del plot
@@ -402,8 +456,8 @@ class DOMRenderer {
 
         // Actualizar estado visual
         if (updates.state) {
-            // Remover clases de estado anteriores
-            plotEl.className = plotEl.className.replace(/plot--\w+/g, '');
+            // Remover la clase del estado anterior (sin tocar modificadores como plot--aura)
+            plotEl.classList.remove(`plot--${plotEl.dataset.plotState}`);
             plotEl.classList.add(`plot--${updates.state}`);
 
             // Actualizar dataset
@@ -420,11 +474,61 @@ class DOMRenderer {
             if (updates.plant) {
                 const plantEl = this.createElement('div', {
                     className: ['plant', `plant--${updates.plant.type || 'default'}`],
-                    textContent: updates.plant.emoji || '🌱'
+                    textContent: this.getPlotPlantEmoji(plotEl.dataset.plotState, updates.plant)
                 });
                 plotEl.appendChild(plantEl);
             }
+        } else if (updates.state === 'withered') {
+            const plantEl = plotEl.querySelector('.plant');
+            if (plantEl) {
+                plantEl.textContent = this.getPlotPlantEmoji('withered');
+            }
+        }
+
+        if (updates.stress !== undefined) {
+            this.updatePlotStress(plotEl, updates.stress);
+        }
+
+        if (updates.soilQuality !== undefined) {
+            this.updatePlotSoil(plotEl, updates.soilType || plotEl.dataset.soilType, updates.soilQuality);
+        }
+    }
+
+    /**
+     * Marca los plots afectados por auras de animales compañeros
+     * @param {Array} auras - Lista de { plotId, growth, resources }
+     */
+    renderAuras(auras) {
+        const farmGrid = this.getElement('farm-grid');
+        if (!farmGrid) return;
+
+        const auraByPlot = new Map(auras.map(aura => [String(aura.plotId), aura]));
+
+        farmGrid.querySelectorAll('.plot').forEach(plotEl => {
+            const aura = auraByPlot.get(plotEl.dataset.plotId);
+            plotEl.classList.toggle('plot--aura', Boolean(aura));
+
+            plotEl.dataset.aura = aura ? this.formatAura(aura) : '';
+            this.updatePlotTitle(plotEl);
+        });
+    }
+
+    /**
+     * Describe un aura para el tooltip del plot
+     * @private
+     */
+    formatAura(aura) {
+        const parts = [];
+
+        if (aura.growth !== 1) {
+            parts.push(`Crecimiento x${aura.growth.toFixed(2)}`);
+        }
+
+        for (const [resource, multiplier] of Object.entries(aura.resources || {})) {
+            parts.push(`${this.getResourceIcon(resource)} x${multiplier.toFixed(2)}`);
         }
+
+        return parts.join(' · ');
     }
 
     /**
@@ -446,6 +550,281 @@ class DOMRenderer {
         }
     }
 
+    /**
+     * Renderiza la capa de animales sobre la granja
+     * @param {Array} animals - Lista de animales (Animal.getInfo)
+     * @param {Function} clickHandler - Manejador de clicks
+     */
+    renderAnimals(animals, clickHandler) {
+        const farmArea = this.getElement('farm-area');
+        if (!farmArea) return;
+
+        let layer = farmArea.querySelector('.farm-area__animals');
+        if (!layer) {
+            layer = this.createElement('div', { className: 'farm-area__animals' });
+            farmArea.appendChild(layer);
+        }
+
+        layer.innerHTML = '';
+
+        for (const animal of animals) {
+            layer.appendChild(this.createAnimalElement(animal, clickHandler));
+        }
+    }
+
+    /**
+     * Crea un elemento de animal
+     * @param {Object} animal - Datos del animal (Animal.getInfo)
+     * @param {Function} clickHandler - Manejador de clicks
+     * @returns {HTMLElement} Elemento del animal
+     */
+    createAnimalElement(animal, clickHandler) {
+        const animalEl = this.createElement('div', {
+            className: ['animal', `animal--${animal.era}`],
+            dataset: {
+                animalId: animal.id,
+                animalType: animal.type
+            },
+            style: this.getAnimalPositionStyle(animal.x, animal.y)
+        });
+
+        const spriteEl = this.createElement('span', {
+            className: 'animal__sprite',
+            textContent: animal.emoji
+        });
+        animalEl.appendChild(spriteEl);
+
+        this.updateAnimalIndicator(animalEl, animal.storedProduction);
+        this.updateAnimalStatus(animalEl, animal);
+
+        if (clickHandler) {
+            animalEl.addEventListener('click', () => clickHandler(animal));
+        }
+
+        return animalEl;
+    }
+
+    /**
+     * Actualiza un animal específico
+     * @param {string} animalId - ID del animal
+     * @param {Object} animal - Datos del animal (Animal.getInfo)
+     */
+    updateAnimal(animalId, animal) {
+        const animalEl = this.getElement(`[data-animal-id="${animalId}"]`);
+        if (!animalEl) return;
+
+        Object.assign(animalEl.style, this.getAnimalPositionStyle(animal.x, animal.y));
+        this.updateAnimalIndicator(animalEl, animal.storedProduction);
+        this.updateAnimalStatus(animalEl, animal);
+    }
+
+    /**
+     * Refleja el estado de ánimo del animal (tooltip y clase de desatendido)
+     * @private
+     */
+    updateAnimalStatus(animalEl, animal) {
+        animalEl.classList.toggle('animal--neglected', Boolean(animal.isNeglected));
+        animalEl.classList.toggle('animal--sleeping', Boolean(animal.isAsleep));
+
+        const needs = [`😊 ${Math.round(animal.happiness)}%`, `⚡ ${Math.round(animal.energy)}%`];
+        if (!animal.effects?.noHunger) {
+            needs.splice(1, 0, `🍖 ${Math.round(animal.hunger)}%`);
+        }
+
+        const lines = [`${animal.name}${animal.isAsleep ? ' 💤 Durmiendo' : ''} · ${needs.join(' · ')}`];
+        if (animal.generation > 1) {
+            const traits = animal.traits || {};
+            lines.push(`Gen. ${animal.generation} · Velocidad x${traits.productionSpeed} · Cantidad x${traits.productionAmount} · Desgaste x${traits.happinessDecay}`);
+        }
+
+        animalEl.setAttribute('title', lines.join('\n'));
+    }
+
+    /**
+     * Marca o desmarca un animal como seleccionado (p. ej. para criar)
+     * @param {string} animalId - ID del animal
+     * @param {boolean} selected - Seleccionado o no
+     */
+    setAnimalSelected(animalId, selected) {
+        const animalEl = this.getElement(`[data-animal-id="${animalId}"]`);
+        if (!animalEl) return;
+
+        animalEl.classList.toggle('animal--selected', selected);
+    }
+
+    /**
+     * Mueve un animal sin tocar el resto del elemento (llamado cada frame)
+     * @param {string} animalId - ID del animal
+     * @param {number} x - Posición X en el espacio de Animal
+     * @param {number} y - Posición Y en el espacio de Animal
+     */
+    updateAnimalPosition(animalId, x, y) {
+        const animalEl = this.getElement(`[data-animal-id="${animalId}"]`);
+        if (!animalEl) return;
+
+        Object.assign(animalEl.style, this.getAnimalPositionStyle(x, y));
+    }
+
+    /**
+     * Muestra u oculta el indicador de producción pendiente
+     * @private
+     */
+    updateAnimalIndicator(animalEl, storedProduction = 0) {
+        let indicator = animalEl.querySelector('.animal__production-indicator');
+        const amount = Math.floor(storedProduction);
+
+        if (amount <= 0) {
+            if (indicator) indicator.remove();
+            return;
+        }
+
+        if (!indicator) {
+            indicator = this.createElement('span', { className: 'animal__production-indicator' });
+            animalEl.appendChild(indicator);
+        }
+
+        indicator.textContent = amount;
+    }
+
+    /**
+     * Convierte coordenadas de Animal a posición CSS relativa a la granja
+     * @private
+     */
+    getAnimalPositionStyle(x, y) {
+        return {
+            left: `${(x / this.config.animalFieldWidth) * 100}%`,
+            top: `${(y / this.config.animalFieldHeight) * 100}%`
+        };
+    }
+
+    /**
+     * Renderiza la tienda de animales
+     * @param {Array} animals - Datos de animales ({ ...animalData, affordable })
+     * @param {Function} buyHandler - Manejador de compra
+     */
+    renderAnimalShop(animals, buyHandler) {
+        const shop = this.getElement('#animal-shop');
+        if (!shop) return;
+
+        shop.innerHTML = '';
+
+        for (const animal of animals) {
+            const itemEl = this.createElement('div', {
+                className: ['animal-shop__item', animal.affordable ? '' : 'animal-shop__item--locked'].filter(Boolean),
+                dataset: {
+                    animalType: animal.id
+                },
+                attributes: {
+                    title: animal.description
+                },
+                listeners: {
+                    click: () => buyHandler(animal.id)
+                }
+            });
+
+            itemEl.appendChild(this.createElement('span', {
+                className: 'animal-shop__icon',
+                textContent: animal.emoji
+            }));
+
+            itemEl.appendChild(this.createElement('span', {
+                className: 'animal-shop__name',
+                textContent: animal.name
+            }));
+
+            itemEl.appendChild(this.createElement('span', {
+                className: 'animal-shop__cost',
+                textContent: this.formatCost(animal.cost)
+            }));
+
+            shop.appendChild(itemEl);
+        }
+    }
+
+    /**
+     * Renderiza el taller de abonos (inventario y recetas)
+     * @param {Array} fertilizers - Abonos con { count, affordable, selected }
+     * @param {Object} handlers - { select(type), craft(type) }
+     */
+    renderFertilizerWorkshop(fertilizers, handlers) {
+        const workshop = this.getElement('#fertilizer-workshop');
+        if (!workshop) return;
+
+        workshop.innerHTML = '';
+
+        for (const fertilizer of fertilizers) {
+            const classes = ['fertilizer-item'];
+            if (fertilizer.selected) classes.push('fertilizer-item--selected');
+            if (fertilizer.count === 0) classes.push('fertilizer-item--empty');
+
+            const itemEl = this.createElement('div', {
+                className: classes,
+                dataset: {
+                    fertilizerType: fertilizer.id
+                },
+                attributes: {
+                    title: fertilizer.description
+                },
+                listeners: {
+                    click: () => handlers.select(fertilizer.id)
+                }
+            });
+
+            itemEl.appendChild(this.createElement('span', {
+                className: 'fertilizer-item__icon',
+                textContent: fertilizer.emoji
+            }));
+
+            itemEl.appendChild(this.createElement('span', {
+                className: 'fertilizer-item__name',
+                textContent: `${fertilizer.name} (${fertilizer.count})`
+            }));
+
+            itemEl.appendChild(this.createElement('button', {
+                className: ['fertilizer-item__craft', fertilizer.affordable ? '' : 'fertilizer-item__craft--locked'].filter(Boolean),
+                textContent: `Fabricar · ${this.formatCost(fertilizer.recipe)}`,
+                listeners: {
+                    click: (event) => {
+                        event.stopPropagation();
+                        handlers.craft(fertilizer.id);
+                    }
+                }
+            }));
+
+            workshop.appendChild(itemEl);
+        }
+    }
+
+    /**
+     * Formatea un costo { recurso: cantidad } para mostrar
+     * @param {Object} cost - Costo
+     * @returns {string} Texto del costo
+     */
+    formatCost(cost = {}) {
+        return Object.entries(cost)
+            .map(([resource, amount]) => `${amount} ${this.getResourceIcon(resource)}`)
+            .join(' · ');
+    }
+
+    /**
+     * Obtiene el icono de un recurso
+     * @param {string} resource - ID del recurso
+     * @returns {string} Icono o el ID si no hay icono
+     */
+    getResourceIcon(resource) {
+        const icons = {
+            'temporal-pulses': '⚡',
+            'fossils': '🦴',
+            'artifacts': '🏺',
+            'data-crystals': '💠',
+            'plant-fiber': '🌾',
+            'lotus-petals': '🪷',
+            'sacred-dust': '✨',
+            'quantum-essence': '🔮'
+        };
+        return icons[resource] || resource;
+    }
+
     /**
      * Renderiza el panel de semillas
      * @param {Object} seeds - Inventario de semillas
@@ -605,12 +984,39 @@ class DOMRenderer {
         return titles[type] || 'Notificación';
     }
 
+    /**
+     * Muestra el efecto visual de un evento temporal (tormenta temporal, paradoja)
+     * @param {string} type - 'temporal-storm' o 'paradox'
+     * @param {string} emoji - Emoji a mostrar en las paradojas
+     */
+    showTemporalEvent(type, emoji = '') {
+        const durations = {
+            'temporal-storm': 8000,
+            'paradox': 3000
+        };
+        if (!durations[type]) return;
+
+        const overlay = this.createElement('div', {
+            className: ['temporal-event', type],
+            textContent: type === 'paradox' ? emoji : ''
+        });
+
+        document.body.appendChild(overlay);
+
+        // Auto-remover al terminar la animación
+        setTimeout(() => {
+            if (overlay.parentNode) {
+                overlay.parentNode.removeChild(overlay);
+            }
+        }, durations[type]);
+    }
+
     /**
      * Muestra un modal
      * @param {string} modalId - ID del modal
      */
     showModal(modalId) {
-        const modal = this.getElement(modalId);
+        const modal = this.getElement(this.getModalSelector(modalId));
         if (modal) {
             modal.classList.remove('hidden');
             document.body.style.overflow = 'hidden';
@@ -622,13 +1028,290 @@ class DOMRenderer {
      * @param {string} modalId - ID del modal
      */
     hideModal(modalId) {
-        const modal = this.getElement(modalId);
+        const modal = this.getElement(this.getModalSelector(modalId));
         if (modal) {
             modal.classList.add('hidden');
             document.body.style.overflow = '';
         }
     }
 
+    /**
+     * Acepta IDs de modal con o sin '#'
+     * @private
+     */
+    getModalSelector(modalId) {
+        return modalId.startsWith('#') ? modalId : `#${modalId}`;
+    }
+
+    /**
+     * Renderiza el resumen de lo ocurrido mientras el jugador no estaba
+     * @param {Object} summary - { away, simulated, ready, withered, produced }
+     */
+    renderOfflineSummary(summary) {
+        const container = this.getElement('#offline-summary');
+        if (!container) return;
+
+        const formatTime = window.ChronoFarmerUtils?.formatTime || ((ms) => `${Math.ceil(ms / 1000)}s`);
+        container.innerHTML = '';
+
+        let awayText = `Estuviste fuera ${formatTime(summary.away)}.`;
+        if (summary.simulated < summary.away) {
+            awayText += ` Tu granja avanzó ${formatTime(summary.simulated)}.`;
+        }
+
+        container.appendChild(this.createElement('p', {
+            className: 'offline-summary__away',
+            textContent: awayText
+        }));
+
+        const sections = [
+            { title: '🌾 Cultivos listos', items: summary.ready },
+            { title: '🥀 Cultivos marchitos', items: summary.withered },
+            { title: '🐾 Producción de animales', items: summary.produced, icons: true }
+        ];
+
+        let hasContent = false;
+        for (const section of sections) {
+            const entries = Object.entries(section.items);
+            if (entries.length === 0) continue;
+            hasContent = true;
+
+            const sectionEl = this.createElement('div', { className: 'offline-summary__section' });
+            sectionEl.appendChild(this.createElement('h3', {
+                className: 'offline-summary__title',
+                textContent: section.title
+            }));
+
+            for (const [name, count] of entries) {
+                const icon = section.icons ? this.getResourceIcon(name) : name;
+                const label = icon !== name ? `${icon} ${name}` : name;
+                sectionEl.appendChild(this.createElement('div', {
+                    className: 'offline-summary__item',
+                    textContent: `${label} ×${Math.round(count * 10) / 10}`
+                }));
+            }
+
+            container.appendChild(sectionEl);
+        }
+
+        if (!hasContent) {
+            container.appendChild(this.createElement('p', {
+                className: 'offline-summary__empty',
+                textContent: 'Tu granja estuvo tranquila.'
+            }));
+        }
+    }
+
+    /**
+     * Renderiza la pantalla de partidas guardadas
+     * @param {Array} slots - Slots de SaveSystem.getSlots()
+     * @param {Object} handlers - { load(slotId), duplicate(slotId), delete(slotId) }
+     */
+    renderSaveSlots(slots, handlers) {
+        const container = this.getElement('#save-slots');
+        if (!container) return;
+
+        const formatTime = window.ChronoFarmerUtils?.formatTime || ((ms) => `${Math.ceil(ms / 1000)}s`);
+        container.innerHTML = '';
+
+        for (const slot of slots) {
+            const classes = ['save-slot'];
+            if (slot.active) classes.push('save-slot--active');
+            if (slot.empty) classes.push('save-slot--empty');
+
+            const slotEl = this.createElement('div', {
+                className: classes,
+                dataset: {
+                    slotId: slot.slotId
+                }
+            });
+
+            slotEl.appendChild(this.createElement('h3', {
+                className: 'save-slot__name',
+                textContent: slot.name
+            }));
+
+            if (slot.empty) {
+                slotEl.appendChild(this.createElement('p', {
+                    className: 'save-slot__info',
+                    textContent: 'Vacío'
+                }));
+                container.appendChild(slotEl);
+                continue;
+            }
+
+            slotEl.appendChild(this.createSaveThumbnail(slot.thumbnail));
+
+            slotEl.appendChild(this.createElement('p', {
+                className: 'save-slot__info',
+                textContent: `${this.getEraName(slot.currentEra)} · Nivel ${slot.playerLevel} · ${formatTime(slot.playTime)}`
+            }));
+
+            slotEl.appendChild(this.createElement('p', {
+                className: 'save-slot__date',
+                textContent: `Guardado: ${new Date(slot.timestamp).toLocaleString('es-ES')}`
+            }));
+
+            const actions = this.createElement('div', { className: 'save-slot__actions' });
+            const buttons = [
+                { action: 'load', label: 'Cargar' },
+                { action: 'duplicate', label: 'Duplicar' },
+                { action: 'delete', label: 'Borrar' }
+            ];
+
+            for (const button of buttons) {
+                actions.appendChild(this.createElement('button', {
+                    className: ['save-slot__btn', `save-slot__btn--${button.action}`],
+                    textContent: button.label,
+                    listeners: {
+                        click: () => handlers[button.action](slot.slotId)
+                    }
+                }));
+            }
+
+            slotEl.appendChild(actions);
+            container.appendChild(slotEl);
+        }
+    }
+
+    /**
+     * Crea la miniatura de la granja de un slot
+     * @param {Array<Array<string>>} thumbnail - Estado de cada plot por fila
+     * @returns {HTMLElement} Miniatura
+     * @private
+     */
+    createSaveThumbnail(thumbnail = []) {
+        const columns = Math.max(1, ...thumbnail.map(row => row?.length || 0));
+        const thumbnailEl = this.createElement('div', {
+            className: 'save-slot__thumbnail',
+            style: {
+                gridTemplateColumns: `repeat(${columns}, 1fr)`
+            }
+        });
+
+        for (const row of thumbnail) {
+            for (let col = 0; col < columns; col++) {
+                thumbnailEl.appendChild(this.createElement('span', {
+                    className: ['save-slot__cell', `save-slot__cell--${row?.[col] || 'empty'}`]
+                }));
+            }
+        }
+
+        return thumbnailEl;
+    }
+
+    /**
+     * Renderiza la vista previa de una partida a importar
+     * @param {Object} report - Informe de SaveSystem.validateImport()
+     * @param {Object} handlers - { confirm(), cancel() }
+     */
+    renderImportPreview(report, handlers) {
+        const container = this.getElement('#import-preview');
+        if (!container) return;
+
+        const formatTime = window.ChronoFarmerUtils?.formatTime || ((ms) => `${Math.ceil(ms / 1000)}s`);
+        const formatValue = (field, value) => {
+            if (field === 'currentEra') return this.getEraName(value);
+            if (field === 'playTime') return formatTime(value);
+            return String(value);
+        };
+        container.innerHTML = '';
+
+        if (report.summary) {
+            const { summary } = report;
+            container.appendChild(this.createElement('h3', {
+                className: 'import-preview__title',
+                textContent: report.slotName || 'Partida importada'
+            }));
+            container.appendChild(this.createElement('p', {
+                className: 'import-preview__info',
+                textContent: `${this.getEraName(summary.currentEra)} · Nivel ${summary.playerLevel} · ${formatTime(summary.playTime)}`
+            }));
+            container.appendChild(this.createElement('p', {
+                className: 'import-preview__info',
+                textContent: `Guardado: ${new Date(summary.timestamp).toLocaleString('es-ES')} · Versión ${report.fromVersion}`
+            }));
+        }
+
+        const messages = [
+            ...report.errors.map(text => ({ text: `❌ ${text}`, type: 'error' })),
+            ...report.warnings.map(text => ({ text: `⚠️ ${text}`, type: 'warning' }))
+        ];
+        for (const message of messages) {
+            container.appendChild(this.createElement('p', {
+                className: ['import-preview__message', `import-preview__message--${message.type}`],
+                textContent: message.text
+            }));
+        }
+
+        if (report.valid && report.differences.length > 0) {
+            const table = this.createElement('table', { className: 'import-preview__diff' });
+            const header = this.createElement('tr');
+            for (const title of ['', 'Actual', 'Importada']) {
+                header.appendChild(this.createElement('th', { textContent: title }));
+            }
+            table.appendChild(header);
+
+            for (const difference of report.differences) {
+                const row = this.createElement('tr');
+                row.appendChild(this.createElement('td', { textContent: difference.label }));
+                row.appendChild(this.createElement('td', { textContent: formatValue(difference.field, difference.current) }));
+                row.appendChild(this.createElement('td', { textContent: formatValue(difference.field, difference.imported) }));
+                table.appendChild(row);
+            }
+
+            container.appendChild(table);
+        } else if (report.valid) {
+            container.appendChild(this.createElement('p', {
+                className: 'import-preview__info',
+                textContent: 'La partida es igual a la actual.'
+            }));
+        }
+
+        const actions = this.createElement('div', { className: 'import-preview__actions' });
+        if (report.valid) {
+            actions.appendChild(this.createElement('button', {
+                className: ['import-preview__btn', 'import-preview__btn--confirm'],
+                textContent: 'Reemplazar la partida actual',
+                listeners: {
+                    click: () => handlers.confirm()
+                }
+            }));
+        }
+        actions.appendChild(this.createElement('button', {
+            className: 'import-preview__btn',
+            textContent: report.valid ? 'Cancelar' : 'Cerrar',
+            listeners: {
+                click: () => handlers.cancel()
+            }
+        }));
+
+        container.appendChild(actions);
+    }
+
+    /**
+     * Descarga un texto como archivo
+     * @param {string} filename - Nombre del archivo
+     * @param {string} content - Contenido
+     * @param {string} type - Tipo MIME
+     */
+    downloadFile(filename, content, type = 'application/json') {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = this.createElement('a', {
+            attributes: {
+                href: url,
+                download: filename
+            }
+        });
+
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // La descarga empieza después del click
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
     /**
      * Actualiza los recursos mostrados en la UI
      * @param {Object} resources - Recursos a actualizar
@@ -648,6 +1331,96 @@ class DOMRenderer {
         }
     }
 
+    /**
+     * Actualiza el reloj de juego en la barra de recursos
+     * @param {Object} clock - { day, hour, emoji } (TimeSystem.getClockInfo)
+     */
+    updateClock(clock) {
+        const iconEl = this.getElement('[data-time="icon"]');
+        if (iconEl) {
+            iconEl.textContent = clock.emoji;
+        }
+
+        const valueEl = this.getElement('[data-time="clock"]');
+        if (valueEl) {
+            valueEl.textContent = `Día ${clock.day} · ${String(clock.hour).padStart(2, '0')}:00`;
+        }
+    }
+
+    /**
+     * Tiñe la granja según la fase del día (amanecer, día, atardecer, noche)
+     * @param {Object} clock - { phase } (TimeSystem.getClockInfo)
+     */
+    updateDayNight(clock) {
+        const farmArea = this.getElement('farm-area');
+        if (!farmArea) return;
+
+        ['dawn', 'day', 'dusk', 'night'].forEach(phase => {
+            farmArea.classList.toggle(`farm-area--${phase}`, phase === clock.phase);
+        });
+    }
+
+    /**
+     * Actualiza la estación mostrada en la barra de recursos
+     * @param {Object} season - { name, emoji, daysRemaining }
+     */
+    updateSeason(season) {
+        const iconEl = this.getElement('[data-season="icon"]');
+        if (iconEl) {
+            iconEl.textContent = season.emoji;
+        }
+
+        const valueEl = this.getElement('[data-season="current"]');
+        if (valueEl) {
+            valueEl.textContent = `${season.name} · ${season.daysRemaining}d`;
+            valueEl.title = `Quedan ${season.daysRemaining} días de ${season.name.toLowerCase()}`;
+        }
+    }
+
+    /**
+     * Renderiza el widget de pronóstico del clima en la barra de recursos
+     * @param {Object} current - Clima actual ({ name, emoji, remaining })
+     * @param {Array} forecast - Próximos climas ({ name, emoji, eta })
+     */
+    renderWeatherForecast(current, forecast) {
+        const formatTime = window.ChronoFarmerUtils?.formatTime || ((ms) => `${Math.ceil(ms / 1000)}s`);
+
+        const currentEl = this.getElement('[data-weather="current"]');
+        if (currentEl) {
+            currentEl.textContent = current.emoji;
+            currentEl.title = `${current.name} · termina en ${formatTime(current.remaining)}`;
+        }
+
+        const container = this.getElement('#weather-forecast');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        for (const weather of forecast) {
+            const itemEl = this.createElement('div', {
+                className: 'weather-forecast__item',
+                dataset: {
+                    weather: weather.id
+                },
+                attributes: {
+                    title: `${weather.name} en ${formatTime(weather.eta)}`
+                }
+            });
+
+            itemEl.appendChild(this.createElement('span', {
+                className: 'weather-forecast__icon',
+                textContent: weather.emoji
+            }));
+
+            itemEl.appendChild(this.createElement('span', {
+                className: 'weather-forecast__eta',
+                textContent: formatTime(weather.eta)
+            }));
+
+            container.appendChild(itemEl);
+        }
+    }
+
     /**
      * Actualiza la era mostrada en la UI
      * @param {string} era - Era actual
@@ -8,6 +8,7 @@ class GameEngine {
         // Estado del juego
         this.isRunning = false;
         this.isPaused = false;
+        this.isSimulating = false; // true mientras se simula tiempo de golpe (progreso offline)
         this.lastTime = 0;
         this.deltaTime = 0;
         this.totalTime = 0;
@@ -189,6 +190,32 @@ class GameEngine {
         }
     }
     
+    /**
+     * Simula un intervalo de tiempo de golpe actualizando los sistemas por pasos
+     * (sin renderizar). Se usa para el progreso offline.
+     * @param {number} duration - Tiempo a simular en ms
+     * @param {number} stepSize - Tamaño de cada paso en ms
+     * @returns {number} Pasos ejecutados
+     */
+    simulate(duration, stepSize = 1000) {
+        let remaining = duration;
+        let steps = 0;
+        
+        this.isSimulating = true;
+        try {
+            while (remaining > 0) {
+                const step = Math.min(stepSize, remaining);
+                this.update(step);
+                remaining -= step;
+                steps++;
+            }
+        } finally {
+            this.isSimulating = false;
+        }
+        
+        return steps;
+    }
+    
     /**
      * Renderiza todos los sistemas
      * @param {number} deltaTime - Tiempo transcurrido en milisegundos
@@ -0,0 +1,230 @@
+/**
+ * LZCodec - Compresor LZ77 para los datos de guardado
+ * Responsabilidad: Reducir el tamaño de las partidas guardadas en localStorage
+ *
+ * El texto se codifica como literales y referencias (distancia, longitud) a texto ya
+ * visto. El flujo de bits se empaqueta en 15 bits por carácter (+32), así la salida es
+ * texto UTF-16 válido (sin caracteres de control ni surrogates) que localStorage guarda
+ * sin alterar. Cambiar la configuración cambia el formato: SaveSystem la versiona.
+ */
+
+class LZCodec {
+    constructor(config = {}) {
+        this.config = {
+            distanceBits: 15, // Distancia máxima de una referencia (32767 caracteres)
+            lengthBits: 8, // Longitud máxima de una referencia (minMatch + 255)
+            minMatch: 4, // Referencias más cortas no compensan frente a literales
+            maxChainLength: 32, // Candidatos revisados por posición (velocidad vs. ratio)
+            ...config
+        };
+    }
+
+    /**
+     * Comprime un texto
+     * @param {string} text - Texto a comprimir
+     * @returns {string} Texto comprimido
+     */
+    compress(text) {
+        const { distanceBits, lengthBits, minMatch } = this.config;
+        const writer = this.createWriter();
+        const head = new Map(); // Prefijo de minMatch caracteres -> última posición
+        const previous = new Int32Array(text.length); // Posición anterior con el mismo prefijo
+
+        // Longitud original (32 bits) para saber dónde termina el flujo
+        writer.write(Math.floor(text.length / 65536), 16);
+        writer.write(text.length % 65536, 16);
+
+        let position = 0;
+        while (position < text.length) {
+            const match = this.findMatch(text, position, head, previous);
+
+            if (match.length >= minMatch) {
+                writer.write(1, 1);
+                writer.write(match.distance, distanceBits);
+                writer.write(match.length - minMatch, lengthBits);
+
+                for (let i = 0; i < match.length; i++) {
+                    this.insertPosition(text, position + i, head, previous);
+                }
+                position += match.length;
+            } else {
+                const code = text.charCodeAt(position);
+                writer.write(0, 1);
+
+                // Literal de 8 bits (ASCII/Latin-1) o de 16 bits
+                if (code < 256) {
+                    writer.write(0, 1);
+                    writer.write(code, 8);
+                } else {
+                    writer.write(1, 1);
+                    writer.write(code, 16);
+                }
+
+                this.insertPosition(text, position, head, previous);
+                position++;
+            }
+        }
+
+        return writer.finish();
+    }
+
+    /**
+     * Descomprime un texto generado por compress()
+     * @param {string} data - Texto comprimido
+     * @returns {string} Texto original
+     */
+    decompress(data) {
+        const { distanceBits, lengthBits, minMatch } = this.config;
+        const reader = this.createReader(data);
+        const length = reader.read(16) * 65536 + reader.read(16);
+        const output = [];
+
+        while (output.length < length) {
+            if (reader.read(1) === 1) {
+                const distance = reader.read(distanceBits);
+                const matchLength = reader.read(lengthBits) + minMatch;
+                const start = output.length - distance;
+
+                if (distance === 0 || start < 0) {
+                    throw new Error('LZCodec: Referencia fuera de los datos');
+                }
+
+                // Copia carácter a carácter: la referencia puede solaparse con la salida
+                for (let i = 0; i < matchLength; i++) {
+                    output.push(output[start + i]);
+                }
+            } else {
+                output.push(reader.read(reader.read(1) === 1 ? 16 : 8));
+            }
+        }
+
+        return this.fromCharCodes(output);
+    }
+
+    /**
+     * Busca la referencia más larga para una posición
+     * @private
+     */
+    findMatch(text, position, head, previous) {
+        const { distanceBits, lengthBits, minMatch, maxChainLength } = this.config;
+        const best = { length: 0, distance: 0 };
+
+        if (position + minMatch > text.length) return best;
+
+        const maxDistance = (1 << distanceBits) - 1;
+        const maxLength = Math.min(minMatch + (1 << lengthBits) - 1, text.length - position);
+        const key = text.substr(position, minMatch);
+        let candidate = head.has(key) ? head.get(key) : -1;
+        let chain = 0;
+
+        while (candidate >= 0 && position - candidate <= maxDistance && chain < maxChainLength) {
+            let length = 0;
+            while (length < maxLength && text.charCodeAt(candidate + length) === text.charCodeAt(position + length)) {
+                length++;
+            }
+
+            if (length > best.length) {
+                best.length = length;
+                best.distance = position - candidate;
+                if (length === maxLength) break;
+            }
+
+            candidate = previous[candidate];
+            chain++;
+        }
+
+        return best;
+    }
+
+    /**
+     * Registra una posición en la tabla de prefijos
+     * @private
+     */
+    insertPosition(text, position, head, previous) {
+        if (position + this.config.minMatch > text.length) return;
+
+        const key = text.substr(position, this.config.minMatch);
+        previous[position] = head.has(key) ? head.get(key) : -1;
+        head.set(key, position);
+    }
+
+    /**
+     * Crea un escritor de bits que empaqueta 15 bits por carácter
+     * @private
+     */
+    createWriter() {
+        const chars = [];
+        let buffer = 0;
+        let bits = 0;
+
+        return {
+            write(value, count) {
+                for (let i = count - 1; i >= 0; i--) {
+                    buffer = (buffer << 1) | ((value >> i) & 1);
+                    bits++;
+
+                    if (bits === 15) {
+                        chars.push(String.fromCharCode(buffer + 32));
+                        buffer = 0;
+                        bits = 0;
+                    }
+                }
+            },
+            finish() {
+                if (bits > 0) {
+                    chars.push(String.fromCharCode((buffer << (15 - bits)) + 32));
+                }
+                return chars.join('');
+            }
+        };
+    }
+
+    /**
+     * Crea un lector de bits para el formato de createWriter()
+     * @private
+     */
+    createReader(data) {
+        let index = 0;
+        let buffer = 0;
+        let bits = 0;
+
+        return {
+            read(count) {
+                let value = 0;
+
+                for (let i = 0; i < count; i++) {
+                    if (bits === 0) {
+                        if (index >= data.length) {
+                            throw new Error('LZCodec: Datos comprimidos incompletos');
+                        }
+                        buffer = data.charCodeAt(index++) - 32;
+                        bits = 15;
+                    }
+
+                    bits--;
+                    value = (value << 1) | ((buffer >> bits) & 1);
+                }
+
+                return value;
+            }
+        };
+    }
+
+    /**
+     * Convierte códigos de carácter en texto (por bloques para no desbordar la pila)
+     * @private
+     */
+    fromCharCodes(codes) {
+        const chunkSize = 8192;
+        let text = '';
+
+        for (let i = 0; i < codes.length; i += chunkSize) {
+            text += String.fromCharCode.apply(null, codes.slice(i, i + chunkSize));
+        }
+
+        return text;
+    }
+}
+
+// Exportar para uso global
+window.LZCodec = LZCodec;
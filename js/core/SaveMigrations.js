@@ -0,0 +1,186 @@
+/**
+ * SaveMigrations - Registro de migraciones de partidas guardadas
+ * Responsabilidad: Transformar partidas de versiones anteriores al formato actual
+ *
+ * Cada paso { version, description, migrate } convierte una partida de la versión
+ * anterior al formato de `version`. Las funciones `migrate` son puras: reciben la
+ * partida y devuelven una nueva sin modificar la original, así se pueden probar por
+ * separado y simular sin efectos (SaveSystem.dryRunMigration).
+ */
+
+class SaveMigrations {
+    constructor() {
+        // Pasos registrados, ordenados por versión
+        this.steps = [];
+
+        this.register('1.1.0', 'Esquema único de plots', SaveMigrations.migratePlotSchema);
+        this.register('1.2.0', 'Abonos, animales y estadísticas del jugador', SaveMigrations.addMissingCollections);
+    }
+
+    /**
+     * Registra un paso de migración
+     * @param {string} version - Versión a la que lleva el paso
+     * @param {string} description - Descripción del cambio
+     * @param {Function} migrate - Función pura (saveData) => nuevo saveData
+     */
+    register(version, description, migrate) {
+        if (this.steps.some(step => step.version === version)) {
+            console.warn(`⚠️ SaveMigrations: Ya existe una migración para ${version}`);
+            return;
+        }
+
+        this.steps.push({ version, description, migrate });
+        this.steps.sort((a, b) => SaveMigrations.compareVersions(a.version, b.version));
+    }
+
+    /**
+     * Obtiene los pasos necesarios para llevar una partida de una versión a otra
+     * @param {string} fromVersion - Versión de la partida
+     * @param {string} toVersion - Versión de destino
+     * @returns {Array} Pasos en orden de aplicación
+     */
+    getPendingSteps(fromVersion, toVersion) {
+        return this.steps.filter(step =>
+            SaveMigrations.compareVersions(fromVersion, step.version) < 0 &&
+            SaveMigrations.compareVersions(step.version, toVersion) <= 0
+        );
+    }
+
+    /**
+     * Aplica en orden los pasos pendientes
+     * @param {Object} saveData - Datos de guardado (no se modifican)
+     * @param {string} toVersion - Versión de destino
+     * @returns {Object} { data, applied } con la partida migrada y los pasos aplicados
+     */
+    run(saveData, toVersion) {
+        const applied = [];
+        let data = saveData;
+
+        for (const step of this.getPendingSteps(saveData.version, toVersion)) {
+            data = { ...step.migrate(data), version: step.version };
+            applied.push({ version: step.version, description: step.description });
+        }
+
+        return { data, applied };
+    }
+
+    /**
+     * Compara dos versiones semánticas
+     * @returns {number} Negativo si a < b, 0 si son iguales, positivo si a > b
+     */
+    static compareVersions(a = '0.0.0', b = '0.0.0') {
+        const partsA = String(a).split('.').map(Number);
+        const partsB = String(b).split('.').map(Number);
+
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) return diff;
+        }
+
+        return 0;
+    }
+
+    /**
+     * 1.1.0: todos los plots pasan al formato de Plot.serialize()
+     * Las partidas guardadas tenían dos formas de plot:
+     * - los del estado por defecto: ID numérico (0-47) y growthStage/maxGrowthStage
+     * - los de partida nueva: ID plot_fila_columna y nutrientLevel en lugar de nutrients
+     * En ambas el progreso y el estrés de la planta estaban en el propio plot.
+     */
+    static migratePlotSchema(saveData) {
+        const plots = saveData.farm?.plots;
+        if (!Array.isArray(plots)) return saveData;
+
+        return {
+            ...saveData,
+            farm: {
+                ...saveData.farm,
+                plots: plots.map((plot, index) => SaveMigrations.migratePlot(plot, index))
+            }
+        };
+    }
+
+    /**
+     * Convierte un plot guardado al formato 1.1.0
+     */
+    static migratePlot(plot, index) {
+        const columns = 8; // Grid de 8x6
+        const numericId = typeof plot.id === 'number' ? plot.id : index;
+        const row = plot.row ?? Math.floor(numericId / columns);
+        const col = plot.col ?? numericId % columns;
+
+        const {
+            nutrientLevel, growthStage, growthProgress, maxGrowthStage, stress,
+            ...fields
+        } = plot;
+
+        const migrated = {
+            ...fields,
+            id: `plot_${row}_${col}`,
+            row,
+            col,
+            state: plot.plant ? plot.state : 'empty',
+            waterLevel: plot.waterLevel ?? 50,
+            nutrients: plot.nutrients ?? nutrientLevel ?? 50,
+            soilQuality: plot.soilQuality ?? 100,
+            fertilizer: plot.fertilizer ?? null,
+            lastCrop: plot.lastCrop ?? null,
+            plantedAt: plot.plantedAt ?? null,
+            lastWatered: plot.lastWatered ?? null,
+            lastHarvested: plot.lastHarvested ?? null,
+            effects: plot.effects ?? []
+        };
+
+        if (migrated.state === 'harvested') {
+            migrated.state = 'empty';
+        }
+
+        // El progreso de la planta pasa a la propia planta
+        if (plot.plant) {
+            const progress = growthProgress ?? (plot.state === 'ready' ? 1 : undefined);
+            const plantFields = { growthStage, growthProgress: progress, stress, plantedAt: plot.plantedAt, lastWatered: plot.lastWatered };
+
+            migrated.plant = { ...plot.plant };
+            for (const [field, value] of Object.entries(plantFields)) {
+                if (migrated.plant[field] === undefined && value !== undefined && value !== null) {
+                    migrated.plant[field] = value;
+                }
+            }
+        }
+
+        return migrated;
+    }
+
+    /**
+     * 1.2.0: las partidas anteriores a los abonos y los animales no tienen
+     * `player.inventory.fertilizers`, `farm.animals` ni todas las estadísticas del jugador
+     */
+    static addMissingCollections(saveData) {
+        const player = saveData.player || {};
+        const inventory = player.inventory || {};
+
+        return {
+            ...saveData,
+            player: {
+                ...player,
+                inventory: {
+                    ...inventory,
+                    fertilizers: inventory.fertilizers || {}
+                },
+                stats: {
+                    plantsHarvested: 0,
+                    timeTraveled: 0,
+                    playTime: 0,
+                    ...player.stats
+                }
+            },
+            farm: {
+                ...saveData.farm,
+                animals: saveData.farm?.animals || []
+            }
+        };
+    }
+}
+
+// Exportar para uso global
+window.SaveMigrations = SaveMigrations;
@@ -7,14 +7,24 @@ class SaveSystem {
     constructor() {
         // Configuración de guardado
         this.config = {
-            storageKey: 'chrono-farmer-save',
+            storageKey: 'chrono-farmer-save', // Cada slot se guarda en `${storageKey}:${slotId}`
             backupKey: 'chrono-farmer-backup',
             settingsKey: 'chrono-farmer-settings',
+            emergencyKey: 'chrono-farmer-emergency', // Copia síncrona en localStorage al cerrar la página
+            slotsKey: 'chrono-farmer-slots', // Índice con los metadatos de cada slot
+            versionKey: 'chrono-farmer-version', // Versión del juego que guardó por última vez
+            storageBackend: 'auto', // 'auto' (IndexedDB > localStorage > memoria), 'indexeddb', 'localstorage' o 'memory'
+            maxSlots: 3,
+            defaultSlot: 'slot-1',
             autoSaveInterval: 60000, // 1 minuto
             maxBackups: 5,
             compressionEnabled: true,
             encryptionEnabled: false, // Por simplicidad, deshabilitado por defecto
-            version: '1.0.0'
+            checksumSalt: 'chrono-farmer',
+            checksumVersion: '1.2.0', // Desde esta versión las partidas deben llevar checksum
+            exportFormat: 'chrono-farmer-save', // Identificador de los archivos exportados
+            exportFormatVersion: 1, // Versión del sobre JSON de exportación
+            version: '1.2.0'
         };
         
         // Estado de guardado
@@ -22,35 +32,60 @@ class SaveSystem {
         this.isSaving = false;
         this.lastSaveTime = null;
         this.autoSaveTimer = null;
+        this.activeSlot = this.config.defaultSlot;
+        this.sessionActive = false; // Hay una partida empezada o cargada (sin ella no se guarda solo)
+        
+        // Almacenamiento (ver StorageAdapters). Las claves guardadas y su tamaño se
+        // mantienen en memoria para consultar slots y estadísticas sin esperar
+        this.storage = null;
+        this.keySizes = new Map();
+        this.slotIndex = {};
+        
+        // Compresión: el primer carácter de los datos comprimidos indica la versión del
+        // formato. Los datos sin cabecera son del formato anterior (base64) o JSON plano
+        this.codec = new LZCodec();
+        this.compressionFormat = 1; // LZCodec con su configuración por defecto
+        this.lastSaveSize = null; // { raw, stored } del último guardado
         
         // Validación de datos
         this.requiredFields = [
             'player', 'farm', 'time', 'version', 'timestamp'
         ];
         
+        // Registro de migraciones de partidas guardadas (ver SaveMigrations)
+        this.migrations = new SaveMigrations();
+        
         // Bind de métodos
         this.save = this.save.bind(this);
         this.load = this.load.bind(this);
         this.autoSave = this.autoSave.bind(this);
         
-        // Inicializar
-        this.init();
+        // Inicializar (las operaciones de guardado esperan a `ready`)
+        this.ready = this.init();
         
         console.log('💾 SaveSystem: Sistema de guardado inicializado');
     }
     
     /**
      * Inicializa el sistema de guardado
+     * @returns {Promise<void>}
      */
-    init() {
-        // Verificar soporte de localStorage
-        if (!this.checkStorageSupport()) {
-            console.warn('⚠️ SaveSystem: localStorage no soportado, el guardado estará deshabilitado');
-            return;
+    async init() {
+        this.storage = await this.openStorage();
+        
+        // Primera ejecución con IndexedDB: traer las partidas de localStorage
+        // (nunca a memoria: se perderían al recargar)
+        if (this.storage.name === 'indexeddb') {
+            await this.importFromLocalStorage();
         }
         
+        await this.loadKeyIndex();
+        
         // Migrar datos antiguos si es necesario
-        this.migrateData();
+        await this.migrateData();
+        
+        // Recuperar la partida guardada al cerrar la página la última vez
+        await this.restoreEmergencySnapshot();
         
         // Configurar auto-guardado
         this.setupAutoSave();
@@ -58,44 +93,168 @@ class SaveSystem {
         // Configurar eventos de página
         this.setupPageEvents();
         
-        console.log('✅ SaveSystem: Sistema listo para guardar');
+        console.log(`✅ SaveSystem: Sistema listo para guardar (${this.storage.name})`);
+    }
+    
+    /**
+     * Abre el primer almacenamiento disponible según `config.storageBackend`
+     * @returns {Promise<Object>} Adaptador de almacenamiento abierto
+     * @private
+     */
+    async openStorage() {
+        const backends = {
+            indexeddb: IndexedDBStorageAdapter,
+            localstorage: LocalStorageAdapter,
+            memory: MemoryStorageAdapter
+        };
+        const order = this.config.storageBackend === 'auto'
+            ? ['indexeddb', 'localstorage', 'memory']
+            : [this.config.storageBackend, 'memory'];
+        
+        for (const backend of order) {
+            const Adapter = backends[backend];
+            if (!Adapter || !Adapter.isSupported()) continue;
+            
+            try {
+                return await new Adapter().open();
+            } catch (error) {
+                console.warn(`⚠️ SaveSystem: Almacenamiento ${backend} no disponible:`, error);
+            }
+        }
+        
+        return new MemoryStorageAdapter();
+    }
+    
+    /**
+     * Mueve las partidas guardadas en localStorage al almacenamiento actual
+     * (la configuración se queda en localStorage, la lee main.js al arrancar)
+     * Cada clave se borra de localStorage solo después de comprobar que se lee
+     * igual desde el nuevo almacenamiento; si algo falla, se reintenta al arrancar.
+     * @private
+     */
+    async importFromLocalStorage() {
+        if (!LocalStorageAdapter.isSupported()) return;
+        
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith('chrono-farmer') && key !== this.config.settingsKey && key !== this.config.emergencyKey) {
+                keys.push(key);
+            }
+        }
+        
+        if (keys.length === 0) return;
+        
+        let moved = 0;
+        for (const key of keys) {
+            try {
+                const value = localStorage.getItem(key);
+                
+                // Si ya existe en el nuevo almacenamiento, es más reciente
+                let stored = await this.storage.getItem(key);
+                if (stored === null) {
+                    await this.storage.setItem(key, value);
+                    stored = await this.storage.getItem(key);
+                    
+                    if (stored !== value) {
+                        throw new Error(`La copia de ${key} no coincide con el original`);
+                    }
+                }
+                
+                localStorage.removeItem(key);
+                moved++;
+            } catch (error) {
+                console.error(`❌ SaveSystem: Error moviendo ${key} de localStorage:`, error);
+            }
+        }
+        
+        if (moved === keys.length) {
+            localStorage.removeItem('game-version');
+        }
+        
+        console.log(`🔄 SaveSystem: ${moved}/${keys.length} claves movidas de localStorage a ${this.storage.name}`);
     }
     
     /**
-     * Verifica si el navegador soporta localStorage
-     * @returns {boolean} true si está soportado
+     * Carga las claves guardadas (con su tamaño) y el índice de slots
+     * @private
      */
-    checkStorageSupport() {
+    async loadKeyIndex() {
+        this.keySizes.clear();
+        
+        for (const key of await this.storage.keys()) {
+            if (!key.startsWith('chrono-farmer')) continue;
+            
+            const value = await this.storage.getItem(key);
+            this.keySizes.set(key, value ? value.length : 0);
+        }
+        
         try {
-            const test = '__storage_test__';
-            localStorage.setItem(test, test);
-            localStorage.removeItem(test);
-            return true;
-        } catch (e) {
-            return false;
+            this.slotIndex = JSON.parse(await this.storage.getItem(this.config.slotsKey)) || {};
+        } catch (error) {
+            console.warn('⚠️ SaveSystem: Índice de slots corrupto, se reconstruirá');
+            this.slotIndex = {};
+        }
+        
+        // Reconstruir metadatos de slots con datos pero sin entrada en el índice
+        for (const slotId of this.getSlotIds()) {
+            if (!this.hasSlotData(slotId) || this.slotIndex[slotId]) continue;
+            
+            try {
+                const data = await this.readKey(this.getSlotKey(slotId));
+                await this.updateSlotMetadata(slotId, this.deserialize(data), data.length);
+            } catch (error) {
+                console.error(`❌ SaveSystem: No se pudo leer ${slotId}:`, error);
+            }
         }
     }
     
+    /**
+     * Lee una clave del almacenamiento
+     * @private
+     */
+    async readKey(key) {
+        return this.storage.getItem(key);
+    }
+    
+    /**
+     * Escribe una clave en el almacenamiento
+     * @private
+     */
+    async writeKey(key, value) {
+        await this.storage.setItem(key, value);
+        this.keySizes.set(key, value.length);
+    }
+    
+    /**
+     * Elimina una clave del almacenamiento
+     * @private
+     */
+    async removeKey(key) {
+        await this.storage.removeItem(key);
+        this.keySizes.delete(key);
+    }
+    
     /**
      * Guarda el estado del juego
      * @param {Object} gameState - Estado del juego a guardar
      * @param {Object} options - Opciones de guardado
+     * @param {string} options.slotId - Slot de destino (el activo por defecto)
      * @returns {Promise<boolean>} true si se guardó exitosamente
      */
     async save(gameState = null, options = {}) {
+        const slotId = options.slotId || this.activeSlot;
+        
         if (this.isSaving) {
             console.warn('⚠️ SaveSystem: Guardado ya en progreso');
             return false;
         }
         
-        if (!this.checkStorageSupport()) {
-            console.error('❌ SaveSystem: No se puede guardar, localStorage no soportado');
-            return false;
-        }
-        
         this.isSaving = true;
         
         try {
+            await this.ready;
+            
             // Obtener estado del StateManager si no se proporciona
             if (!gameState && window.stateManager) {
                 gameState = window.stateManager.getState();
@@ -111,18 +270,24 @@ class SaveSystem {
             
             // Serializar datos
             const serializedData = this.serialize(saveData);
+            this.lastSaveSize = {
+                raw: JSON.stringify(saveData).length,
+                stored: serializedData.length
+            };
             
-            // Guardar en localStorage
-            localStorage.setItem(this.config.storageKey, serializedData);
+            // Guardar
+            await this.writeKey(this.getSlotKey(slotId), serializedData);
+            await this.updateSlotMetadata(slotId, saveData, serializedData.length);
             
             // Crear backup
-            this.createBackup(saveData);
+            await this.createBackup(saveData, slotId);
             
             // Actualizar timestamp
             this.lastSaveTime = Date.now();
+            this.clearEmergencySnapshot(slotId);
             
             // Notificar éxito
-            this.notifySaveSuccess();
+            this.notifySaveSuccess(options.isAutoSave || false);
             
             console.log('💾 SaveSystem: Juego guardado exitosamente');
             return true;
@@ -139,51 +304,89 @@ class SaveSystem {
     /**
      * Carga el estado del juego
      * @param {Object} options - Opciones de carga
+     * @param {string} options.slotId - Slot a cargar (el activo por defecto)
      * @returns {Promise<Object|null>} Estado del juego o null si falló
      */
     async load(options = {}) {
-        try {
-            if (!this.checkStorageSupport()) {
-                throw new Error('localStorage no soportado');
-            }
-            
-            // Obtener datos guardados
-            const serializedData = localStorage.getItem(this.config.storageKey);
-            if (!serializedData) {
-                console.log('ℹ️ SaveSystem: No hay datos guardados');
+        const slotId = options.slotId || this.activeSlot;
+        await this.ready;
+        
+        // Obtener datos guardados
+        const saveKey = this.getSlotKey(slotId);
+        if (!this.keySizes.has(saveKey)) {
+            // Sin partida ni backups: slot vacío
+            if (this.getBackupKeys(slotId).length === 0) {
+                console.log(`ℹ️ SaveSystem: No hay datos guardados en ${slotId}`);
                 return null;
             }
             
-            // Deserializar
-            const saveData = this.deserialize(serializedData);
-            
-            // Validar
-            if (!this.validateSaveData(saveData)) {
-                throw new Error('Datos de guardado corruptos');
-            }
-            
-            // Migrar si es necesario
-            const migratedData = this.migrateSaveData(saveData);
+            // La partida desapareció (borrada o desalojada por el navegador) pero quedan backups
+            const error = new Error('Datos de guardado no encontrados');
+            console.error('❌ SaveSystem: Error al cargar:', error);
+            this.notifyLoadError(error, { slotId, source: saveKey });
+            return this.loadBackup(slotId);
+        }
+        
+        try {
+            const migratedData = await this.loadSave(saveKey, slotId);
             
             // Notificar carga exitosa
-            this.notifyLoadSuccess();
+            this.notifyLoadSuccess({ slotId, source: saveKey });
             
             console.log('💾 SaveSystem: Juego cargado exitosamente');
             return migratedData;
             
         } catch (error) {
             console.error('❌ SaveSystem: Error al cargar:', error);
-            
-            // Intentar recuperar desde backup
-            const backupData = await this.loadBackup();
-            if (backupData) {
-                console.log('💾 SaveSystem: Recuperado desde backup');
-                return backupData;
-            }
-            
-            this.notifyLoadError(error);
-            return null;
+            this.notifyLoadError(error, { slotId, source: saveKey });
+        }
+        
+        // Intentar recuperar desde los backups
+        return this.loadBackup(slotId);
+    }
+    
+    /**
+     * Lee una partida guardada y la migra al formato actual
+     * Antes de migrar, la partida original se conserva como backup.
+     * @param {string} key - Clave de almacenamiento
+     * @param {string} slotId - Slot al que pertenece
+     * @returns {Promise<Object>} Datos de guardado migrados
+     * @private
+     */
+    async loadSave(key, slotId) {
+        const saveData = await this.readSave(key);
+        
+        if (saveData.version !== this.config.version) {
+            await this.createPreMigrationBackup(key, slotId, saveData.version);
+        }
+        
+        return this.migrateSaveData(saveData);
+    }
+    
+    /**
+     * Lee, valida y verifica el checksum de una partida guardada
+     * @param {string} key - Clave de almacenamiento
+     * @returns {Promise<Object>} Datos de guardado (sin migrar)
+     * @throws {Error} Si faltan, están corruptos o no pasan el checksum
+     * @private
+     */
+    async readSave(key) {
+        const serializedData = await this.readKey(key);
+        if (!serializedData) {
+            throw new Error('Datos de guardado no encontrados');
+        }
+        
+        const saveData = this.deserialize(serializedData);
+        
+        if (!this.validateSaveData(saveData)) {
+            throw new Error('Datos de guardado corruptos');
+        }
+        
+        if (!this.verifyChecksum(saveData)) {
+            throw new Error('Checksum inválido: datos dañados o modificados');
         }
+        
+        return saveData;
     }
     
     /**
@@ -247,7 +450,12 @@ class SaveSystem {
      */
     serialize(data) {
         try {
-            let serialized = JSON.stringify(data);
+            // El checksum va al final y cubre el resto del contenido
+            const { checksum, ...payload } = data;
+            let serialized = JSON.stringify({
+                ...payload,
+                checksum: this.computeChecksum(JSON.stringify(payload))
+            });
             
             if (this.config.compressionEnabled) {
                 serialized = this.compress(serialized);
@@ -288,14 +496,47 @@ class SaveSystem {
     }
     
     /**
-     * Comprime datos usando LZ-string (simplificado)
+     * Calcula el checksum de un texto (FNV-1a de 32 bits con sal)
+     * Detecta datos dañados y ediciones a mano; no es una firma criptográfica.
+     * @param {string} text - Texto a resumir
+     * @returns {string} Checksum en hexadecimal
+     * @private
+     */
+    computeChecksum(text) {
+        const salted = `${this.config.checksumSalt}:${text}`;
+        let hash = 0x811c9dc5;
+        
+        for (let i = 0; i < salted.length; i++) {
+            hash ^= salted.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+    
+    /**
+     * Verifica el checksum de unos datos deserializados
+     * Las partidas anteriores a la versión con checksum se aceptan sin él.
+     * @param {Object} saveData - Datos de guardado
+     * @returns {boolean} true si el checksum coincide
+     */
+    verifyChecksum(saveData) {
+        const { checksum, ...payload } = saveData;
+        
+        if (checksum === undefined) {
+            return this.compareVersions(saveData.version, this.config.checksumVersion) < 0;
+        }
+        
+        return checksum === this.computeChecksum(JSON.stringify(payload));
+    }
+    
+    /**
+     * Comprime datos con LZCodec y antepone la cabecera de formato
      * @private
      */
     compress(data) {
-        // Por simplicidad, solo codificamos en base64
-        // En producción usaríamos una librería como lz-string
         try {
-            return btoa(encodeURIComponent(data));
+            return String.fromCharCode(this.compressionFormat) + this.codec.compress(data);
         } catch (error) {
             console.warn('⚠️ SaveSystem: Compresión falló, usando datos sin comprimir');
             return data;
@@ -303,10 +544,23 @@ class SaveSystem {
     }
     
     /**
-     * Descomprime datos
+     * Descomprime datos según su cabecera de formato
      * @private
      */
     decompress(data) {
+        const format = data.charCodeAt(0);
+        
+        // Formato 1: LZCodec
+        if (format === 1) {
+            return this.codec.decompress(data.slice(1));
+        }
+        
+        // JSON sin comprimir (la compresión falló al guardar)
+        if (data.startsWith('{')) {
+            return data;
+        }
+        
+        // Formato anterior sin cabecera: base64 de encodeURIComponent
         try {
             return decodeURIComponent(atob(data));
         } catch (error) {
@@ -315,6 +569,35 @@ class SaveSystem {
         }
     }
     
+    /**
+     * Obtiene el espacio ocupado por los datos del juego
+     * (en caracteres, que es como los navegadores miden la cuota de localStorage)
+     * @returns {Object} { backend, saves, backups, total, lastSave: { raw, stored, ratio } }
+     */
+    getStorageStats() {
+        const stats = { backend: this.storage?.name || null, saves: 0, backups: 0, total: 0, lastSave: null };
+        
+        for (const [key, valueSize] of this.keySizes) {
+            const size = key.length + valueSize;
+            stats.total += size;
+            
+            if (key.startsWith(this.config.storageKey)) {
+                stats.saves += size;
+            } else if (key.startsWith(this.config.backupKey)) {
+                stats.backups += size;
+            }
+        }
+        
+        if (this.lastSaveSize) {
+            stats.lastSave = {
+                ...this.lastSaveSize,
+                ratio: Math.round((this.lastSaveSize.stored / this.lastSaveSize.raw) * 100) / 100
+            };
+        }
+        
+        return stats;
+    }
+    
     /**
      * Encripta datos (placeholder)
      * @private
@@ -338,20 +621,45 @@ class SaveSystem {
      * Migra datos de versiones anteriores
      * @private
      */
-    migrateData() {
+    async migrateData() {
         const currentVersion = this.config.version;
-        const savedVersion = localStorage.getItem('game-version');
+        const savedVersion = await this.readKey(this.config.versionKey);
         
         if (savedVersion && savedVersion !== currentVersion) {
-            console.log(`🔄 SaveSystem: Migrando datos de ${savedVersion} a ${currentVersion}`);
-            // Implementar lógica de migración específica por versión
+            console.log(`🔄 SaveSystem: Juego actualizado de ${savedVersion} a ${currentVersion}, las partidas se migran al cargarlas`);
         }
         
-        localStorage.setItem('game-version', currentVersion);
+        // Partida de las versiones sin slots: pasa al primer slot (o al primero libre).
+        // La clave antigua solo se borra cuando la partida ya está en su slot.
+        const legacyData = await this.readKey(this.config.storageKey);
+        if (legacyData) {
+            const alreadyMoved = await this.readKey(this.getSlotKey(this.config.defaultSlot)) === legacyData;
+            const slotId = this.hasSlotData(this.config.defaultSlot) ? this.getFreeSlot() : this.config.defaultSlot;
+            
+            if (alreadyMoved) {
+                await this.removeKey(this.config.storageKey);
+            } else if (!slotId) {
+                console.warn('⚠️ SaveSystem: No hay slots libres para la partida anterior, se conserva sin mover');
+            } else {
+                try {
+                    await this.writeKey(this.getSlotKey(slotId), legacyData);
+                    await this.removeKey(this.config.storageKey);
+                    console.log(`🔄 SaveSystem: Partida anterior movida a ${slotId}`);
+                    
+                    await this.updateSlotMetadata(slotId, this.migrateSaveData(this.deserialize(legacyData)), legacyData.length);
+                } catch (error) {
+                    console.error('❌ SaveSystem: Error moviendo la partida anterior:', error);
+                }
+            }
+        }
+        
+        await this.writeKey(this.config.versionKey, currentVersion);
     }
     
     /**
-     * Migra datos de guardado según la versión
+     * Migra datos de guardado a la versión actual
+     * @param {Object} saveData - Datos de guardado (no se modifican)
+     * @returns {Object} Datos migrados
      * @private
      */
     migrateSaveData(saveData) {
@@ -359,38 +667,88 @@ class SaveSystem {
             return saveData;
         }
         
-        // Implementar migraciones específicas por versión
         console.log(`🔄 SaveSystem: Migrando save data de ${saveData.version} a ${this.config.version}`);
         
-        // Migración de ejemplo
-        if (!saveData.metadata) {
-            saveData.metadata = {
+        const { data, applied } = this.migrations.run(saveData, this.config.version);
+        for (const step of applied) {
+            console.log(`🔄 SaveSystem: Migración ${step.version} aplicada (${step.description})`);
+        }
+        
+        return {
+            ...data,
+            metadata: data.metadata || {
                 saveCount: 1,
-                firstSave: saveData.timestamp,
+                firstSave: data.timestamp,
                 gameVersion: this.config.version
-            };
+            },
+            version: this.config.version
+        };
+    }
+    
+    /**
+     * Simula la migración de una partida sin guardar nada
+     * @param {string|Object} source - ID de slot o datos de guardado (el slot activo por defecto)
+     * @returns {Promise<Object>} { fromVersion, toVersion, steps, result, error }
+     */
+    async dryRunMigration(source = this.activeSlot) {
+        const report = { fromVersion: null, toVersion: this.config.version, steps: [], result: null, error: null };
+        
+        try {
+            const saveData = typeof source === 'string' ? await this.readSave(this.getSlotKey(source)) : source;
+            
+            report.fromVersion = saveData.version;
+            report.steps = this.migrations.getPendingSteps(saveData.version, this.config.version)
+                .map(({ version, description }) => ({ version, description }));
+            report.result = this.migrateSaveData(saveData);
+            
+        } catch (error) {
+            report.error = error.message;
         }
         
-        saveData.version = this.config.version;
-        return saveData;
+        return report;
+    }
+    
+    /**
+     * Guarda la partida original antes de migrarla (una por slot y versión de origen)
+     * @private
+     */
+    async createPreMigrationBackup(key, slotId, version) {
+        const backupKey = `${this.getPreMigrationPrefix(slotId)}${version}`;
+        if (this.keySizes.has(backupKey)) return;
+        
+        try {
+            await this.writeKey(backupKey, await this.readKey(key));
+            console.log(`💾 SaveSystem: Partida ${version} conservada en ${backupKey}`);
+        } catch (error) {
+            console.error('❌ SaveSystem: Error creando backup previo a la migración:', error);
+        }
+    }
+    
+    /**
+     * Compara dos versiones semánticas (1.0.0)
+     * @returns {number} Negativo si a < b, 0 si son iguales, positivo si a > b
+     * @private
+     */
+    compareVersions(a, b) {
+        return SaveMigrations.compareVersions(a, b);
     }
     
     /**
      * Crea un backup de los datos
      * @private
      */
-    createBackup(saveData) {
+    async createBackup(saveData, slotId = this.activeSlot) {
         try {
-            const backupKey = `${this.config.backupKey}-${Date.now()}`;
+            const backupKey = `${this.getBackupPrefix(slotId)}${Date.now()}`;
             const backupData = {
                 ...saveData,
                 backupTimestamp: Date.now()
             };
             
-            localStorage.setItem(backupKey, this.serialize(backupData));
+            await this.writeKey(backupKey, this.serialize(backupData));
             
             // Limpiar backups antiguos
-            this.cleanupOldBackups();
+            await this.cleanupOldBackups(slotId);
             
         } catch (error) {
             console.error('❌ SaveSystem: Error creando backup:', error);
@@ -398,42 +756,26 @@ class SaveSystem {
     }
     
     /**
-     * Carga datos desde backup
+     * Carga datos desde los backups de un slot, del más reciente al más antiguo,
+     * hasta encontrar uno que pase la verificación
      * @private
      */
-    loadBackup() {
-        try {
-            // Buscar el backup más reciente
-            const backupKeys = [];
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
-                if (key && key.startsWith(this.config.backupKey)) {
-                    backupKeys.push(key);
-                }
-            }
-            
-            if (backupKeys.length === 0) {
-                return null;
-            }
-            
-            // Ordenar por timestamp (más reciente primero)
-            backupKeys.sort((a, b) => {
-                const timeA = parseInt(a.split('-').pop());
-                const timeB = parseInt(b.split('-').pop());
-                return timeB - timeA;
-            });
-            
-            // Intentar cargar el backup más reciente
-            const latestBackup = localStorage.getItem(backupKeys[0]);
-            if (latestBackup) {
-                const backupData = this.deserialize(latestBackup);
-                return this.migrateSaveData(backupData);
+    async loadBackup(slotId = this.activeSlot) {
+        for (const backupKey of this.getBackupKeys(slotId)) {
+            try {
+                const backupData = await this.loadSave(backupKey, slotId);
+                
+                this.notifyLoadSuccess({ slotId, source: backupKey, recovered: true });
+                console.log(`💾 SaveSystem: Recuperado desde backup ${backupKey}`);
+                return backupData;
+                
+            } catch (error) {
+                console.error(`❌ SaveSystem: Error cargando backup ${backupKey}:`, error);
+                this.notifyLoadError(error, { slotId, source: backupKey });
             }
-            
-        } catch (error) {
-            console.error('❌ SaveSystem: Error cargando backup:', error);
         }
         
+        console.warn(`⚠️ SaveSystem: Ningún backup de ${slotId} es válido`);
         return null;
     }
     
@@ -441,28 +783,13 @@ class SaveSystem {
      * Limpia backups antiguos
      * @private
      */
-    cleanupOldBackups() {
+    async cleanupOldBackups(slotId = this.activeSlot) {
         try {
-            const backupKeys = [];
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
-                if (key && key.startsWith(this.config.backupKey)) {
-                    backupKeys.push(key);
-                }
-            }
+            const backupKeys = this.getBackupKeys(slotId);
             
             // Si hay más backups que el límite, eliminar los más antiguos
-            if (backupKeys.length > this.config.maxBackups) {
-                backupKeys.sort((a, b) => {
-                    const timeA = parseInt(a.split('-').pop());
-                    const timeB = parseInt(b.split('-').pop());
-                    return timeA - timeB;
-                });
-                
-                const toRemove = backupKeys.length - this.config.maxBackups;
-                for (let i = 0; i < toRemove; i++) {
-                    localStorage.removeItem(backupKeys[i]);
-                }
+            for (const key of backupKeys.slice(this.config.maxBackups)) {
+                await this.removeKey(key);
             }
             
         } catch (error) {
@@ -470,6 +797,26 @@ class SaveSystem {
         }
     }
     
+    /**
+     * Obtiene las claves de backup de un slot
+     * @param {string} slotId - ID del slot
+     * @returns {Array<string>} Claves de almacenamiento, de la más reciente a la más antigua
+     * @private
+     */
+    getBackupKeys(slotId) {
+        // El timestamp es la última parte de la clave
+        return this.getKeysWithPrefix(this.getBackupPrefix(slotId))
+            .sort((a, b) => parseInt(b.split('-').pop()) - parseInt(a.split('-').pop()));
+    }
+    
+    /**
+     * Obtiene las claves guardadas que empiezan por un prefijo
+     * @private
+     */
+    getKeysWithPrefix(prefix) {
+        return [...this.keySizes.keys()].filter(key => key.startsWith(prefix));
+    }
+    
     /**
      * Configura el auto-guardado
      * @private
@@ -489,7 +836,7 @@ class SaveSystem {
      * @private
      */
     autoSave() {
-        if (window.stateManager && window.gameEngine?.isRunning) {
+        if (this.sessionActive && window.stateManager && window.gameEngine?.isRunning) {
             console.log('💾 SaveSystem: Auto-guardando...');
             this.save(null, { isAutoSave: true });
         }
@@ -500,28 +847,109 @@ class SaveSystem {
      * @private
      */
     setupPageEvents() {
-        // Guardar antes de cerrar
+        // Al cerrar la página no da tiempo a un guardado asíncrono (IndexedDB):
+        // se escribe una copia síncrona que se recupera al arrancar
         window.addEventListener('beforeunload', () => {
-            this.save();
+            this.writeEmergencySnapshot();
         });
         
-        // Guardar cuando el juego pierde foco
+        // Guardar cuando el juego pierde foco (la copia cubre el caso de que se cierre antes de terminar)
         document.addEventListener('visibilitychange', () => {
-            if (document.hidden) {
+            if (document.hidden && this.sessionActive) {
+                this.writeEmergencySnapshot();
                 this.save();
             }
         });
     }
     
+    /**
+     * Escribe de forma síncrona la partida en memoria en localStorage
+     * @returns {boolean} true si se escribió
+     * @private
+     */
+    writeEmergencySnapshot() {
+        if (!this.sessionActive || !window.stateManager) return false;
+        
+        try {
+            const saveData = this.prepareSaveData(window.stateManager.getState());
+            localStorage.setItem(this.config.emergencyKey, JSON.stringify({
+                slotId: this.activeSlot,
+                data: this.serialize(saveData)
+            }));
+            return true;
+        } catch (error) {
+            console.warn('⚠️ SaveSystem: No se pudo escribir la copia de emergencia:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Borra la copia de emergencia de un slot (ya hay un guardado más reciente)
+     * @private
+     */
+    clearEmergencySnapshot(slotId) {
+        try {
+            const snapshot = JSON.parse(localStorage.getItem(this.config.emergencyKey));
+            if (snapshot?.slotId === slotId) {
+                localStorage.removeItem(this.config.emergencyKey);
+            }
+        } catch (error) {
+            // Sin localStorage o copia ilegible: se descarta al arrancar
+        }
+    }
+    
+    /**
+     * Pasa la copia de emergencia a su slot si es más reciente que la partida guardada
+     * @private
+     */
+    async restoreEmergencySnapshot() {
+        if (!LocalStorageAdapter.isSupported()) return;
+        
+        const raw = localStorage.getItem(this.config.emergencyKey);
+        if (!raw) return;
+        
+        let snapshot;
+        try {
+            snapshot = JSON.parse(raw);
+            snapshot.saveData = this.deserialize(snapshot.data);
+        } catch (error) {
+            snapshot = null;
+        }
+        
+        // Una copia inválida no se podrá recuperar nunca
+        if (!snapshot || !this.getSlotIds().includes(snapshot.slotId) ||
+            !this.validateSaveData(snapshot.saveData) || !this.verifyChecksum(snapshot.saveData)) {
+            console.warn('⚠️ SaveSystem: Copia de emergencia inválida, se descarta');
+            localStorage.removeItem(this.config.emergencyKey);
+            return;
+        }
+        
+        const { slotId, data, saveData } = snapshot;
+        const saved = this.readSlotIndex()[slotId];
+        
+        try {
+            if (!saved || saveData.timestamp > saved.timestamp) {
+                await this.writeKey(this.getSlotKey(slotId), data);
+                await this.updateSlotMetadata(slotId, this.migrateSaveData(saveData), data.length);
+                console.log(`🔄 SaveSystem: Partida de ${slotId} recuperada de la copia de emergencia`);
+            }
+            
+            localStorage.removeItem(this.config.emergencyKey);
+        } catch (error) {
+            // Se reintenta en el próximo arranque
+            console.error('❌ SaveSystem: Error recuperando la copia de emergencia:', error);
+        }
+    }
+    
     /**
      * Notifica éxito en guardado
      * @private
      */
-    notifySaveSuccess() {
-        if (window.eventBus) {
-            window.eventBus.emit('save:success', {
+    notifySaveSuccess(isAutoSave = false) {
+        if (window.EventBus) {
+            window.EventBus.emit('save:success', {
                 timestamp: this.lastSaveTime,
-                isAutoSave: false
+                isAutoSave
             });
         }
     }
@@ -531,8 +959,8 @@ class SaveSystem {
      * @private
      */
     notifySaveError(error) {
-        if (window.eventBus) {
-            window.eventBus.emit('save:error', {
+        if (window.EventBus) {
+            window.EventBus.emit('save:error', {
                 error: error.message,
                 timestamp: Date.now()
             });
@@ -541,23 +969,29 @@ class SaveSystem {
     
     /**
      * Notifica éxito en carga
+     * @param {Object} details - { slotId, source (clave cargada), recovered (desde backup) }
      * @private
      */
-    notifyLoadSuccess() {
-        if (window.eventBus) {
-            window.eventBus.emit('load:success', {
+    notifyLoadSuccess(details = {}) {
+        if (window.EventBus) {
+            window.EventBus.emit('load:success', {
+                ...details,
+                recovered: details.recovered || false,
                 timestamp: Date.now()
             });
         }
     }
     
     /**
-     * Notifica error en carga
+     * Notifica error en carga (una vez por cada candidato que falla)
+     * @param {Error} error - Error producido
+     * @param {Object} details - { slotId, source (clave que falló) }
      * @private
      */
-    notifyLoadError(error) {
-        if (window.eventBus) {
-            window.eventBus.emit('load:error', {
+    notifyLoadError(error, details = {}) {
+        if (window.EventBus) {
+            window.EventBus.emit('load:error', {
+                ...details,
                 error: error.message,
                 timestamp: Date.now()
             });
@@ -565,14 +999,27 @@ class SaveSystem {
     }
     
     /**
-     * Exporta datos de guardado
-     * @returns {string} Datos serializados
+     * Exporta la partida en memoria como archivo JSON autodescriptivo:
+     * { format, formatVersion, gameVersion, exportedAt, slotName, checksum, data }
+     * El checksum cubre `data` (la partida sin comprimir).
+     * @returns {string} Contenido del archivo
      */
     exportSave() {
         try {
             const gameState = window.stateManager?.getState();
-            const saveData = this.prepareSaveData(gameState);
-            return this.serialize(saveData);
+            const { checksum, ...data } = this.prepareSaveData(gameState);
+            
+            const envelope = {
+                format: this.config.exportFormat,
+                formatVersion: this.config.exportFormatVersion,
+                gameVersion: this.config.version,
+                exportedAt: Date.now(),
+                slotName: this.getSaveInfo()?.name || this.getDefaultSlotName(this.activeSlot),
+                checksum: this.computeChecksum(JSON.stringify(data)),
+                data
+            };
+            
+            return JSON.stringify(envelope, null, 2);
         } catch (error) {
             console.error('❌ SaveSystem: Error exportando datos:', error);
             throw error;
@@ -580,56 +1027,248 @@ class SaveSystem {
     }
     
     /**
-     * Importa datos de guardado
-     * @param {string} data - Datos serializados
-     * @returns {boolean} true si se importó exitosamente
+     * Nombre de archivo para exportar la partida activa
+     * @returns {string} Nombre de archivo (chrono-farmer-partida-1-2026-10-19.json)
+     */
+    getExportFilename() {
+        const name = this.getSaveInfo()?.name || this.getDefaultSlotName(this.activeSlot);
+        const slug = name.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const date = new Date().toISOString().slice(0, 10);
+        
+        return `chrono-farmer-${slug || 'partida'}-${date}.json`;
+    }
+    
+    /**
+     * Valida un archivo de partida antes de importarlo, sin guardar nada
+     * Acepta el formato de exportSave() y el texto serializado de versiones anteriores.
+     * @param {string} text - Contenido del archivo
+     * @returns {Object} { valid, errors, warnings, fromVersion, steps, exportedAt, slotName,
+     *   summary, differences, saveData } con la partida ya migrada en `saveData`
      */
-    importSave(data) {
+    validateImport(text) {
+        const report = {
+            valid: false,
+            errors: [],
+            warnings: [],
+            fromVersion: null,
+            steps: [],
+            exportedAt: null,
+            slotName: null,
+            summary: null,
+            differences: [],
+            saveData: null
+        };
+        
+        let saveData;
         try {
-            const saveData = this.deserialize(data);
+            saveData = this.parseImport(text, report);
+        } catch (error) {
+            report.errors.push(error.message);
+            return report;
+        }
+        
+        if (!this.validateSaveData(saveData)) {
+            report.errors.push('Faltan datos de la partida (jugador, granja o tiempo)');
+            return report;
+        }
+        
+        if (!this.verifyChecksum(saveData)) {
+            report.errors.push('Checksum inválido: el archivo está dañado o se editó a mano');
+            return report;
+        }
+        
+        if (saveData.checksum === undefined) {
+            report.warnings.push(`La partida no tiene checksum (versión ${saveData.version})`);
+        }
+        
+        report.fromVersion = saveData.version;
+        if (this.compareVersions(saveData.version, this.config.version) > 0) {
+            report.errors.push(`La partida es de una versión más reciente del juego (${saveData.version})`);
+            return report;
+        }
+        
+        report.steps = this.migrations.getPendingSteps(saveData.version, this.config.version)
+            .map(({ version, description }) => ({ version, description }));
+        if (report.steps.length > 0) {
+            report.warnings.push(`La partida se migrará de la versión ${saveData.version} a la ${this.config.version}`);
+        }
+        
+        try {
+            const { checksum, ...migrated } = this.migrateSaveData(saveData);
+            report.saveData = migrated;
+        } catch (error) {
+            report.errors.push(`Error migrando la partida: ${error.message}`);
+            return report;
+        }
+        
+        report.summary = this.summarizeSave(report.saveData);
+        
+        const gameState = window.stateManager?.getState();
+        if (gameState) {
+            report.differences = this.compareSaves(this.prepareSaveData(gameState), report.saveData);
+        }
+        
+        report.valid = true;
+        return report;
+    }
+    
+    /**
+     * Extrae la partida de un archivo importado (con su checksum, para verificarlo)
+     * @throws {Error} Si el archivo no es una partida
+     * @private
+     */
+    parseImport(text, report) {
+        if (typeof text !== 'string' || text.trim() === '') {
+            throw new Error('El archivo está vacío');
+        }
+        
+        let envelope = null;
+        try {
+            envelope = JSON.parse(text);
+        } catch (error) {
+            // No es JSON: texto serializado de versiones anteriores (comprimido)
+        }
+        
+        if (!envelope || envelope.format === undefined) {
+            let saveData;
+            try {
+                saveData = this.deserialize(text);
+            } catch (error) {
+                throw new Error('El archivo no es una partida de Chrono Farmer');
+            }
             
-            if (!this.validateSaveData(saveData)) {
-                throw new Error('Datos de importación inválidos');
+            report.warnings.push('Archivo exportado con una versión anterior del juego');
+            return saveData;
+        }
+        
+        if (envelope.format !== this.config.exportFormat) {
+            throw new Error('El archivo no es una partida de Chrono Farmer');
+        }
+        
+        if (envelope.formatVersion > this.config.exportFormatVersion) {
+            throw new Error(`Formato de archivo no soportado (versión ${envelope.formatVersion})`);
+        }
+        
+        if (!envelope.data || typeof envelope.data !== 'object') {
+            throw new Error('El archivo no contiene datos de partida');
+        }
+        
+        report.exportedAt = envelope.exportedAt || null;
+        report.slotName = envelope.slotName || null;
+        
+        return { ...envelope.data, checksum: envelope.checksum };
+    }
+    
+    /**
+     * Datos principales de una partida (era, nivel, tiempo de juego...)
+     * @param {Object} saveData - Datos de guardado
+     * @returns {Object} { version, timestamp, playerLevel, playTime, currentEra }
+     */
+    summarizeSave(saveData) {
+        return {
+            version: saveData.version,
+            timestamp: saveData.timestamp,
+            playerLevel: saveData.player?.level || 1,
+            playTime: saveData.time?.gameTime || 0,
+            currentEra: saveData.time?.currentEra || 'prehistoric'
+        };
+    }
+    
+    /**
+     * Compara dos partidas campo a campo
+     * @param {Object} current - Partida actual
+     * @param {Object} imported - Partida importada
+     * @returns {Array<Object>} { field, label, current, imported } de los campos que cambian
+     */
+    compareSaves(current, imported) {
+        const fields = {
+            currentEra: ['Era actual', save => save.time?.currentEra || 'prehistoric'],
+            playerLevel: ['Nivel', save => save.player?.level || 1],
+            experience: ['Experiencia', save => save.player?.experience || 0],
+            playTime: ['Tiempo de juego', save => save.time?.gameTime || 0],
+            unlockedEras: ['Eras desbloqueadas', save => (save.player?.unlockedEras || []).length],
+            achievements: ['Logros', save => (save.player?.achievements || []).length],
+            temporalPulses: ['Pulsos temporales', save => save.player?.inventory?.resources?.['temporal-pulses'] || 0],
+            plants: ['Cultivos plantados', save => (save.farm?.plots || []).filter(plot => plot.plant).length],
+            animals: ['Animales', save => (save.farm?.animals || []).length],
+            plantsHarvested: ['Cosechas', save => save.player?.stats?.plantsHarvested || 0]
+        };
+        
+        return Object.entries(fields)
+            .map(([field, [label, read]]) => ({ field, label, current: read(current), imported: read(imported) }))
+            .filter(difference => difference.current !== difference.imported);
+    }
+    
+    /**
+     * Importa una partida en un slot (reemplaza la que hubiera, que queda como backup)
+     * @param {string|Object} source - Contenido del archivo o informe de validateImport()
+     * @param {string} slotId - Slot de destino (el activo por defecto)
+     * @returns {Promise<Object|null>} Partida importada (migrada) o null si no es válida
+     */
+    async importSave(source, slotId = this.activeSlot) {
+        const report = typeof source === 'string' ? this.validateImport(source) : source;
+        
+        if (!report.valid) {
+            const error = new Error(report.errors[0] || 'Datos de importación inválidos');
+            console.error('❌ SaveSystem: Error importando datos:', error);
+            this.notifyLoadError(error, { slotId, source: 'import' });
+            return null;
+        }
+        
+        try {
+            await this.ready;
+            const saveKey = this.getSlotKey(slotId);
+            
+            // Conservar la partida que se reemplaza (si está dañada, se reemplaza sin más)
+            if (this.hasSlotData(slotId)) {
+                try {
+                    await this.createBackup(await this.readSave(saveKey), slotId);
+                } catch (error) {
+                    console.warn('⚠️ SaveSystem: No se pudo conservar la partida reemplazada:', error);
+                }
             }
             
-            // Guardar datos importados
-            localStorage.setItem(this.config.storageKey, data);
+            const serializedData = this.serialize(report.saveData);
+            await this.writeKey(saveKey, serializedData);
+            await this.updateSlotMetadata(slotId, report.saveData, serializedData.length);
             
             // Notificar
-            if (window.eventBus) {
-                window.eventBus.emit('save:imported', {
+            if (window.EventBus) {
+                window.EventBus.emit('save:imported', {
+                    slotId,
+                    fromVersion: report.fromVersion,
                     timestamp: Date.now()
                 });
             }
             
-            return true;
+            console.log(`📥 SaveSystem: Partida importada en ${slotId}`);
+            return report.saveData;
             
         } catch (error) {
             console.error('❌ SaveSystem: Error importando datos:', error);
-            return false;
+            this.notifyLoadError(error, { slotId, source: 'import' });
+            return null;
         }
     }
     
     /**
-     * Elimina todos los datos guardados
+     * Elimina todos los datos guardados (partidas, backups y configuración)
+     * @returns {Promise<boolean>} true si se eliminaron
      */
-    clearAllData() {
+    async clearAllData() {
         try {
-            // Limpiar localStorage
-            const keysToRemove = [];
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
-                if (key && (
-                    key === this.config.storageKey ||
-                    key === this.config.settingsKey ||
-                    key.startsWith(this.config.backupKey)
-                )) {
-                    keysToRemove.push(key);
-                }
+            await this.ready;
+            
+            for (const key of [...this.keySizes.keys()]) {
+                await this.removeKey(key);
             }
+            this.slotIndex = {};
             
-            for (const key of keysToRemove) {
-                localStorage.removeItem(key);
+            // La configuración siempre está en localStorage
+            if (LocalStorageAdapter.isSupported()) {
+                localStorage.removeItem(this.config.settingsKey);
+                localStorage.removeItem(this.config.emergencyKey);
             }
             
             console.log('🗑️ SaveSystem: Todos los datos han sido eliminados');
@@ -643,26 +1282,264 @@ class SaveSystem {
     
     /**
      * Obtiene información de los datos guardados
+     * @param {string} slotId - ID del slot (el activo por defecto)
      * @returns {Object|null} Información de guardado o null si no hay datos
      */
-    getSaveInfo() {
+    getSaveInfo(slotId = this.activeSlot) {
         try {
-            const data = localStorage.getItem(this.config.storageKey);
-            if (!data) return null;
+            if (!this.hasSlotData(slotId)) return null;
+            
+            return this.readSlotIndex()[slotId] || null;
+        } catch (error) {
+            console.error('❌ SaveSystem: Error obteniendo info de guardado:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Crea los metadatos de un slot a partir de sus datos de guardado
+     * @param {string} slotId - ID del slot
+     * @param {Object} saveData - Datos de guardado
+     * @param {number} size - Tamaño serializado
+     * @returns {Object} Metadatos del slot
+     * @private
+     */
+    createSlotMetadata(slotId, saveData, size) {
+        return {
+            slotId,
+            name: this.getDefaultSlotName(slotId),
+            ...this.summarizeSave(saveData),
+            saveCount: saveData.metadata?.saveCount || 1,
+            firstSave: saveData.metadata?.firstSave || saveData.timestamp,
+            size,
+            thumbnail: this.createThumbnail(saveData.farm?.plots)
+        };
+    }
+    
+    /**
+     * Crea la miniatura de la granja: matriz [fila][columna] con el estado de cada plot
+     * @param {Array} plots - Plots serializados
+     * @returns {Array<Array<string>>} Estados por fila
+     * @private
+     */
+    createThumbnail(plots = []) {
+        const rows = [];
+        
+        for (const plot of plots) {
+            if (!rows[plot.row]) rows[plot.row] = [];
+            rows[plot.row][plot.col] = plot.state || 'empty';
+        }
+        
+        return rows;
+    }
+    
+    /**
+     * Actualiza los metadatos de un slot en el índice (conserva su nombre)
+     * @private
+     */
+    async updateSlotMetadata(slotId, saveData, size) {
+        const index = this.readSlotIndex();
+        const metadata = this.createSlotMetadata(slotId, saveData, size);
+        
+        index[slotId] = { ...metadata, name: index[slotId]?.name || metadata.name };
+        await this.writeSlotIndex(index);
+    }
+    
+    /**
+     * Lee el índice de slots (copia de la caché cargada en init)
+     * @returns {Object} Metadatos por ID de slot
+     * @private
+     */
+    readSlotIndex() {
+        return { ...this.slotIndex };
+    }
+    
+    /**
+     * Guarda el índice de slots
+     * @private
+     */
+    async writeSlotIndex(index) {
+        this.slotIndex = index;
+        await this.writeKey(this.config.slotsKey, JSON.stringify(index));
+    }
+    
+    /**
+     * Obtiene los IDs de todos los slots
+     * @returns {Array<string>} IDs de slot ('slot-1', 'slot-2'...)
+     */
+    getSlotIds() {
+        return Array.from({ length: this.config.maxSlots }, (_, i) => `slot-${i + 1}`);
+    }
+    
+    /**
+     * Clave de almacenamiento de un slot
+     * @private
+     */
+    getSlotKey(slotId = this.activeSlot) {
+        return `${this.config.storageKey}:${slotId}`;
+    }
+    
+    /**
+     * Prefijo de las claves de backup de un slot
+     * @private
+     */
+    getBackupPrefix(slotId = this.activeSlot) {
+        return `${this.config.backupKey}-${slotId}-`;
+    }
+    
+    /**
+     * Prefijo de las claves de backup previas a una migración
+     * (fuera de la rotación de backups, no se borran al guardar)
+     * @private
+     */
+    getPreMigrationPrefix(slotId) {
+        return `${this.config.backupKey}-premigration-${slotId}-`;
+    }
+    
+    /**
+     * Nombre por defecto de un slot
+     * @private
+     */
+    getDefaultSlotName(slotId) {
+        return `Partida ${this.getSlotIds().indexOf(slotId) + 1}`;
+    }
+    
+    /**
+     * Indica si un slot tiene una partida guardada
+     * @param {string} slotId - ID del slot
+     * @returns {boolean} true si hay datos
+     */
+    hasSlotData(slotId) {
+        return this.keySizes.has(this.getSlotKey(slotId));
+    }
+    
+    /**
+     * Obtiene el primer slot vacío
+     * @returns {string|null} ID del slot o null si están todos ocupados
+     */
+    getFreeSlot() {
+        return this.getSlotIds().find(slotId => !this.hasSlotData(slotId)) || null;
+    }
+    
+    /**
+     * Lista los slots con sus metadatos (para la pantalla de carga)
+     * @returns {Array<Object>} { slotId, name, empty, active, ...getSaveInfo() }
+     */
+    getSlots() {
+        return this.getSlotIds().map(slotId => {
+            const info = this.hasSlotData(slotId) ? this.getSaveInfo(slotId) : null;
             
-            const saveData = this.deserialize(data);
             return {
-                version: saveData.version,
-                timestamp: saveData.timestamp,
-                playerLevel: saveData.player?.level || 1,
-                playTime: saveData.time?.gameTime || 0,
-                currentEra: saveData.time?.currentEra || 'prehistoric',
-                saveCount: saveData.metadata?.saveCount || 1,
-                firstSave: saveData.metadata?.firstSave || saveData.timestamp,
-                size: data.length
+                slotId,
+                name: this.getDefaultSlotName(slotId),
+                ...info,
+                empty: !info,
+                active: slotId === this.activeSlot
             };
+        });
+    }
+    
+    /**
+     * Cambia el slot activo (donde se guarda y de donde se carga) y lo recuerda en la configuración
+     * @param {string} slotId - ID del slot
+     * @returns {boolean} true si el slot existe
+     */
+    setActiveSlot(slotId) {
+        if (!this.getSlotIds().includes(slotId)) {
+            console.warn(`⚠️ SaveSystem: Slot desconocido: ${slotId}`);
+            return false;
+        }
+        
+        this.activeSlot = slotId;
+        
+        if (window.stateManager) {
+            window.stateManager.set('settings.activeSlot', slotId);
+            window.EventBus?.emit('settings:changed', { setting: 'activeSlot', value: slotId });
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Cambia el nombre de un slot
+     * @param {string} slotId - ID del slot
+     * @param {string} name - Nuevo nombre
+     * @returns {Promise<boolean>} true si el slot tiene partida
+     */
+    async renameSlot(slotId, name) {
+        await this.ready;
+        const index = this.readSlotIndex();
+        if (!index[slotId]) return false;
+        
+        index[slotId] = { ...index[slotId], name };
+        await this.writeSlotIndex(index);
+        return true;
+    }
+    
+    /**
+     * Elimina la partida de un slot (datos, backups y metadatos)
+     * @param {string} slotId - ID del slot
+     * @returns {Promise<boolean>} true si se eliminó
+     */
+    async deleteSlot(slotId) {
+        try {
+            await this.ready;
+            await this.removeKey(this.getSlotKey(slotId));
+            
+            const backupKeys = [...this.getBackupKeys(slotId), ...this.getKeysWithPrefix(this.getPreMigrationPrefix(slotId))];
+            for (const key of backupKeys) {
+                await this.removeKey(key);
+            }
+            
+            const index = this.readSlotIndex();
+            delete index[slotId];
+            await this.writeSlotIndex(index);
+            
+            // La partida en memoria ya no tiene slot: no se vuelve a escribir hasta empezar o cargar otra
+            this.clearEmergencySnapshot(slotId);
+            if (slotId === this.activeSlot) {
+                this.sessionActive = false;
+            }
+            
+            window.EventBus?.emit('save:slot-deleted', { slotId, timestamp: Date.now() });
+            console.log(`🗑️ SaveSystem: Slot ${slotId} eliminado`);
+            return true;
+            
         } catch (error) {
-            console.error('❌ SaveSystem: Error obteniendo info de guardado:', error);
+            console.error('❌ SaveSystem: Error eliminando slot:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Duplica la partida de un slot en otro
+     * @param {string} sourceId - Slot de origen
+     * @param {string} targetId - Slot de destino (el primero vacío por defecto)
+     * @returns {Promise<string|null>} ID del slot de destino o null si no se pudo duplicar
+     */
+    async duplicateSlot(sourceId, targetId = this.getFreeSlot()) {
+        await this.ready;
+        const data = await this.readKey(this.getSlotKey(sourceId));
+        
+        if (!data || !targetId || targetId === sourceId) {
+            console.warn('⚠️ SaveSystem: No se puede duplicar el slot (sin datos o sin slots libres)');
+            return null;
+        }
+        
+        try {
+            await this.writeKey(this.getSlotKey(targetId), data);
+            
+            const index = this.readSlotIndex();
+            const source = index[sourceId] || this.createSlotMetadata(sourceId, this.deserialize(data), data.length);
+            index[targetId] = { ...source, slotId: targetId, name: `${source.name} (copia)` };
+            await this.writeSlotIndex(index);
+            
+            window.EventBus?.emit('save:slot-duplicated', { sourceId, targetId, timestamp: Date.now() });
+            console.log(`📄 SaveSystem: Slot ${sourceId} duplicado en ${targetId}`);
+            return targetId;
+            
+        } catch (error) {
+            console.error('❌ SaveSystem: Error duplicando slot:', error);
             return null;
         }
     }
@@ -673,20 +1550,17 @@ class SaveSystem {
      */
     getStats() {
         const saveInfo = this.getSaveInfo();
-        const backupKeys = [];
-        
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith(this.config.backupKey)) {
-                backupKeys.push(key);
-            }
-        }
+        const backupKeys = this.getKeysWithPrefix(this.config.backupKey);
         
         return {
             hasSaveData: saveInfo !== null,
             saveInfo: saveInfo,
+            activeSlot: this.activeSlot,
+            storage: this.getStorageStats(),
+            usedSlots: this.getSlotIds().filter(slotId => this.hasSlotData(slotId)).length,
             backupCount: backupKeys.length,
-            storageAvailable: this.checkStorageSupport(),
+            storageBackend: this.storage?.name || null,
+            storageAvailable: this.storage !== null && this.storage.name !== 'memory',
             autoSaveEnabled: this.autoSaveTimer !== null,
             lastSaveTime: this.lastSaveTime,
             config: this.config
@@ -712,6 +1586,10 @@ class SaveSystem {
      * Destruye el sistema de guardado
      */
     destroy() {
+        // main.js destruye el juego en `beforeunload` antes de que llegue el listener
+        // de la copia de emergencia (el estado ya no existiría)
+        this.writeEmergencySnapshot();
+        
         if (this.autoSaveTimer) {
             clearInterval(this.autoSaveTimer);
             this.autoSaveTimer = null;
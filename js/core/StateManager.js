@@ -1,12 +1,57 @@
 /**
  * StateManager - Gestor de estado del juego
  * Responsabilidad: Manejar el estado global del juego de forma centralizada y predecible
+ *
+ * El estado es inmutable con estructura compartida: `set` copia solo los objetos del
+ * path modificado y reutiliza el resto, así que los valores devueltos por `get` no deben
+ * mutarse (hay que crear uno nuevo y pasarlo a `set`). El historial guarda parches
+ * { path, before, after } en vez de copias completas del estado.
  */
 
 class StateManager {
     constructor() {
         // Estado del juego
-        this.state = {
+        this.state = this.createInitialState();
+        
+        // Historial de cambios (parches) para debug y undo/redo
+        this.history = [];
+        this.historyLimit = 50;
+        this.historyIndex = 0; // Número de entradas aplicadas (las posteriores son redo)
+        this.historyMergeWindow = 500; // ms en los que las escrituras se agrupan en una entrada
+        
+        // Listeners de cambios de estado
+        this.stateListeners = new Map();
+        
+        // Optimización: batch de actualizaciones
+        this.updateQueue = new Map();
+        this.updateTimer = null;
+        this.batchUpdates = true;
+        this.batchDelay = 16; // ~1 frame
+        
+        // Validación de esquemas (por path, ver initializeSchemas)
+        this.schemas = new Map();
+        this.strictValidation = false; // Lanzar error en vez de avisar (modo debug)
+        this.initializeSchemas();
+        
+        // Bind de métodos
+        this.set = this.set.bind(this);
+        this.get = this.get.bind(this);
+        this.subscribe = this.subscribe.bind(this);
+        this.unsubscribe = this.unsubscribe.bind(this);
+        
+        console.log('📊 StateManager: Gestor de estado inicializado');
+        
+        // Inicializar estado por defecto
+        this.initializeDefaultState();
+    }
+    
+    /**
+     * Crea el estado inicial del juego (sin plots ni semillas, ver initializeDefaultState)
+     * @returns {Object} Estado inicial
+     * @private
+     */
+    createInitialState() {
+        return {
             // Estado del jugador
             player: {
                 name: 'Nari',
@@ -14,6 +59,7 @@ class StateManager {
                 experience: 0,
                 inventory: {
                     seeds: {},
+                    fertilizers: {},
                     resources: {
                         'temporal-pulses': 100,
                         'seeds': 10
@@ -38,6 +84,8 @@ class StateManager {
                 currentEra: 'prehistoric',
                 previousEra: null,
                 gameTime: 0, // Tiempo total jugado en ms
+                currentDay: 1,
+                timeSpeed: 1.0, // Multiplicador de velocidad del tiempo de juego
                 lastSave: null,
                 sessionStart: Date.now()
             },
@@ -70,88 +118,78 @@ class StateManager {
                 notifications: true
             }
         };
-        
-        // Historial de estados para debug y undo/redo
-        this.history = [];
-        this.historyLimit = 50;
-        this.historyIndex = -1;
-        
-        // Listeners de cambios de estado
-        this.stateListeners = new Map();
-        
-        // Optimización: batch de actualizaciones
-        this.updateQueue = new Map();
-        this.updateTimer = null;
-        this.batchUpdates = true;
-        this.batchDelay = 16; // ~1 frame
-        
-        // Validación de esquemas
-        this.schemas = new Map();
-        this.initializeSchemas();
-        
-        // Bind de métodos
-        this.set = this.set.bind(this);
-        this.get = this.get.bind(this);
-        this.subscribe = this.subscribe.bind(this);
-        this.unsubscribe = this.unsubscribe.bind(this);
-        
-        console.log('📊 StateManager: Gestor de estado inicializado');
-        
-        // Inicializar estado por defecto
-        this.initializeDefaultState();
     }
     
     /**
      * Inicializa los esquemas de validación
+     * Cada esquema describe el valor de un path (`*` sustituye a un nivel del path):
+     * - type: tipo o lista de tipos (string, number, boolean, object, array, null)
+     * - enum: valores permitidos
+     * - min / max / integer: rangos numéricos
+     * - required: campos obligatorios de un objeto
      * @private
      */
     initializeSchemas() {
-        // Esquema de validación para el estado
-        this.schemas.set('player', {
-            name: 'string',
-            level: 'number',
-            experience: 'number',
-            inventory: 'object'
-        });
-        
-        this.schemas.set('plot', {
-            id: 'number',
-            plant: ['object', 'null'],
-            state: ['empty', 'planted', 'growing', 'ready', 'harvested'],
-            waterLevel: 'number',
-            nutrients: 'number'
-        });
+        const percentage = { type: 'number', min: 0, max: 100 };
+        const count = { type: 'number', min: 0 };
+        
+        // Jugador
+        this.defineSchema('player', { type: 'object', required: ['level', 'experience', 'inventory'] });
+        this.defineSchema('player.name', { type: 'string' });
+        this.defineSchema('player.level', { type: 'number', integer: true, min: 1 });
+        this.defineSchema('player.experience', count);
+        this.defineSchema('player.inventory', { type: 'object', required: ['seeds', 'resources'] });
+        this.defineSchema('player.inventory.seeds.*', count);
+        this.defineSchema('player.inventory.resources.*', count);
+        this.defineSchema('player.inventory.fertilizers.*', count);
+        this.defineSchema('player.unlockedEras', { type: 'array' });
+        
+        // Granja (formato de Plot.serialize())
+        this.defineSchema('farm.plots', { type: 'array' });
+        this.defineSchema('farm.plots.*', { type: 'object', required: ['id', 'row', 'col', 'state'] });
+        this.defineSchema('farm.plots.*.id', { type: 'string' });
+        this.defineSchema('farm.plots.*.row', { type: 'number', integer: true, min: 0 });
+        this.defineSchema('farm.plots.*.col', { type: 'number', integer: true, min: 0 });
+        this.defineSchema('farm.plots.*.plant', { type: ['object', 'null'] });
+        this.defineSchema('farm.plots.*.state', { enum: ['empty', 'planted', 'growing', 'ready', 'withered'] });
+        this.defineSchema('farm.plots.*.waterLevel', percentage);
+        this.defineSchema('farm.plots.*.nutrients', percentage);
+        this.defineSchema('farm.plots.*.soilQuality', percentage);
+        this.defineSchema('farm.animals', { type: 'array' });
+        
+        // Tiempo y configuración
+        this.defineSchema('time.currentDay', { type: 'number', integer: true, min: 1 });
+        this.defineSchema('time.gameTime', count);
+        this.defineSchema('time.timeSpeed', count);
+        this.defineSchema('settings.musicVolume', percentage);
+        this.defineSchema('settings.sfxVolume', percentage);
         
         console.log('📋 StateManager: Esquemas de validación inicializados');
     }
     
+    /**
+     * Registra el esquema de un path
+     * @param {string} path - Path del estado (puede usar * como comodín de un nivel)
+     * @param {Object} schema - Reglas del valor (ver initializeSchemas)
+     */
+    defineSchema(path, schema) {
+        this.schemas.set(path, { ...schema, segments: path.split('.') });
+    }
+    
     /**
      * Inicializa el estado por defecto
      * @private
      */
     initializeDefaultState() {
-        // Inicializar plots vacíos
-        this.state.farm.plots = [];
-        for (let i = 0; i < 48; i++) {
-            this.state.farm.plots.push({
-                id: i,
-                plant: null,
-                state: 'empty',
-                waterLevel: 50,
-                nutrients: 50,
-                plantedAt: null,
-                lastWatered: null,
-                growthStage: 0,
-                maxGrowthStage: 0
-            });
-        }
+        // Inicializar plots vacíos (formato de Plot.serialize())
+        this.state = this.updateIn(this.state, ['farm', 'plots'], 0, window.Plot ? Plot.createGrid() : []);
         
         // Inicializar semillas básicas
-        this.state.player.inventory.seeds = {
+        this.state = this.updateIn(this.state, ['player', 'inventory', 'seeds'], 0, {
             'prehistoric-moss': 5,
             'lotus-egyptian': 0,
             'crystal-future': 0
-        };
+        });
         
         console.log('✅ StateManager: Estado por defecto inicializado');
     }
@@ -187,11 +225,12 @@ class StateManager {
      * @param {string} path - Path del estado
      * @param {*} value - Nuevo valor
      * @param {Object} options - Opciones de actualización
+     * @returns {boolean} false si el valor se rechazó y el estado no cambió
      */
     set(path, value, options = {}) {
         if (typeof path !== 'string') {
             console.error('❌ StateManager: El path debe ser un string');
-            return;
+            return false;
         }
         
         const defaultOptions = {
@@ -203,57 +242,53 @@ class StateManager {
         
         options = { ...defaultOptions, ...options };
         
-        // Guardar estado anterior en historial
-        if (options.history) {
-            this.saveToHistory();
+        // Validar si es necesario (un valor inválido no modifica el estado)
+        if (options.validate && !this.validateValue(path, value)) {
+            return false;
         }
         
-        // Establecer el valor
-        const keys = path.split('.');
-        const lastKey = keys.pop();
-        let current = this.state;
-        
-        // Navegar hasta el padre del objeto a modificar
-        for (const key of keys) {
-            if (!(key in current) || typeof current[key] !== 'object') {
-                current[key] = {};
-            }
-            current = current[key];
-        }
+        // Establecer el valor copiando solo el camino hasta él
+        const oldValue = this.get(path);
+        this.state = this.updateIn(this.state, path.split('.'), 0, value);
         
-        // Validar si es necesario
-        if (options.validate && !this.validateValue(path, value)) {
-            console.warn(`⚠️ StateManager: Validación fallida para ${path}`);
-            return;
+        // Registrar el cambio en el historial
+        if (options.history) {
+            this.saveToHistory([{ path, before: oldValue, after: value }]);
         }
         
-        // Establecer valor
-        const oldValue = current[lastKey];
-        current[lastKey] = value;
-        
         // Notificar cambios
         if (options.notify) {
             this.notifyChange(path, value, oldValue);
         }
+        
+        return true;
     }
     
     /**
      * Actualiza múltiples valores en batch
      * @param {Object} updates - Objeto con paths y valores { 'path1': value1, 'path2': value2 }
      * @param {Object} options - Opciones de actualización
+     * @returns {boolean} false si alguno de los valores se rechazó
      */
     batchUpdate(updates, options = {}) {
+        let accepted = true;
+        
         if (!this.batchUpdates) {
             // Si no hay batch, actualizar directamente
             for (const [path, value] of Object.entries(updates)) {
-                this.set(path, value, options);
+                accepted = this.set(path, value, options) && accepted;
             }
-            return;
+            return accepted;
         }
         
-        // Agregar a la cola
+        // Agregar a la cola (ya validados: se descartan los inválidos)
         for (const [path, value] of Object.entries(updates)) {
-            this.updateQueue.set(path, { value, options });
+            if (options.validate !== false && !this.validateValue(path, value)) {
+                accepted = false;
+                continue;
+            }
+            
+            this.updateQueue.set(path, { value, options: { ...options, validate: false } });
         }
         
         // Programar actualización batch
@@ -264,6 +299,8 @@ class StateManager {
         this.updateTimer = setTimeout(() => {
             this.processUpdateQueue();
         }, this.batchDelay);
+        
+        return accepted;
     }
     
     /**
@@ -273,15 +310,16 @@ class StateManager {
     processUpdateQueue() {
         if (this.updateQueue.size === 0) return;
         
-        // Guardar estado anterior una sola vez
-        this.saveToHistory();
-        
-        // Procesar todas las actualizaciones
+        // Procesar todas las actualizaciones (una sola entrada de historial)
+        const patches = [];
         for (const [path, { value, options }] of this.updateQueue) {
             const currentOptions = { ...options, history: false, notify: false };
+            patches.push({ path, before: this.get(path), after: value });
             this.set(path, value, currentOptions);
         }
         
+        this.saveToHistory(patches);
+        
         // Notificar cambios globales
         this.notifyGlobalChange();
         
@@ -426,29 +464,171 @@ class StateManager {
     }
     
     /**
-     * Valida un valor contra el esquema
-     * @private
+     * Valida un valor contra los esquemas de su path (y de sus hijos)
+     * Las violaciones se notifican por EventBus; en modo estricto lanzan un error.
+     * @param {string} path - Path del estado
+     * @param {*} value - Valor a validar
+     * @returns {boolean} true si el valor es válido
      */
     validateValue(path, value) {
-        // Por simplicidad, solo validamos algunos casos básicos
-        // En una implementación real, usaríamos un validador como Joi o Yup
-        return true;
+        const violations = this.getViolations(path, value);
+        if (violations.length === 0) return true;
+        
+        const details = violations.map(violation => `${violation.path}: ${violation.message}`).join('; ');
+        
+        if (window.EventBus) {
+            window.EventBus.emit('state:validation-failed', {
+                path,
+                violations,
+                timestamp: Date.now()
+            });
+        }
+        
+        if (this.strictValidation) {
+            throw new Error(`StateManager: Validación fallida para ${path} (${details})`);
+        }
+        
+        console.warn(`⚠️ StateManager: Validación fallida para ${path} (${details})`);
+        return false;
     }
     
     /**
-     * Guarda el estado actual en el historial
+     * Obtiene las violaciones de esquema de un valor
+     * @param {string} path - Path del estado
+     * @param {*} value - Valor a validar
+     * @param {Array} violations - Acumulador de violaciones
+     * @returns {Array} Lista de { path, value, message }
+     */
+    getViolations(path, value, violations = []) {
+        const segments = path.split('.');
+        
+        for (const schema of this.schemas.values()) {
+            if (this.matchesSegments(segments, schema.segments)) {
+                this.checkSchema(path, value, schema, violations);
+            }
+        }
+        
+        // Recorrer los hijos solo si algún esquema cuelga de este path
+        if (value !== null && typeof value === 'object' && this.hasNestedSchemas(segments)) {
+            for (const [key, child] of Object.entries(value)) {
+                this.getViolations(`${path}.${key}`, child, violations);
+            }
+        }
+        
+        return violations;
+    }
+    
+    /**
+     * Comprueba un valor contra un esquema
      * @private
      */
-    saveToHistory() {
-        const stateCopy = this.deepClone(this.state);
+    checkSchema(path, value, schema, violations) {
+        const fail = (message) => violations.push({ path, value, message });
+        
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            const valueType = this.getValueType(value);
+            
+            if (!types.includes(valueType)) {
+                fail(`se esperaba ${types.join(' o ')} y es ${valueType}`);
+                return;
+            }
+        }
         
-        // Si no estamos al final del historial, truncar
-        if (this.historyIndex < this.history.length - 1) {
-            this.history = this.history.slice(0, this.historyIndex + 1);
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail(`valor no permitido: ${value}`);
         }
         
-        this.history.push(stateCopy);
-        this.historyIndex++;
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value)) {
+                fail('número no válido');
+            } else if (schema.integer && !Number.isInteger(value)) {
+                fail('se esperaba un entero');
+            } else if (schema.min !== undefined && value < schema.min) {
+                fail(`menor que el mínimo (${schema.min})`);
+            } else if (schema.max !== undefined && value > schema.max) {
+                fail(`mayor que el máximo (${schema.max})`);
+            }
+        }
+        
+        if (schema.required && value !== null && typeof value === 'object') {
+            for (const field of schema.required) {
+                if (!(field in value)) {
+                    fail(`falta el campo ${field}`);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Tipo de un valor para los esquemas (distingue array y null)
+     * @private
+     */
+    getValueType(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+    
+    /**
+     * Comprueba si un path coincide con el patrón de un esquema
+     * @private
+     */
+    matchesSegments(segments, pattern) {
+        return segments.length === pattern.length &&
+            pattern.every((segment, index) => segment === '*' || segment === segments[index]);
+    }
+    
+    /**
+     * Indica si hay esquemas para paths por debajo de uno dado
+     * @private
+     */
+    hasNestedSchemas(segments) {
+        for (const schema of this.schemas.values()) {
+            if (schema.segments.length > segments.length &&
+                segments.every((segment, index) => schema.segments[index] === '*' || schema.segments[index] === segment)) {
+                return true;
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Registra cambios en el historial
+     * Las escrituras dentro de `historyMergeWindow` se agrupan en la última entrada
+     * (conservando el primer `before` de cada path), así las escrituras por frame
+     * no llenan el historial.
+     * @param {Array} patches - Lista de { path, before, after }
+     * @private
+     */
+    saveToHistory(patches) {
+        const now = Date.now();
+        
+        // Si no estamos al final del historial, descartar los cambios deshechos
+        if (this.historyIndex < this.history.length) {
+            this.history = this.history.slice(0, this.historyIndex);
+        }
+        
+        // No se agrupan escrituras que se solapan (padre e hijo): al rehacer
+        // se aplicarían en un orden distinto al original
+        const last = this.history[this.history.length - 1];
+        const overlaps = last && patches.some(patch => last.patches.some(entry =>
+            entry.path !== patch.path && this.pathsOverlap(entry.path, patch.path)));
+        if (last && !overlaps && now - last.timestamp < this.historyMergeWindow) {
+            for (const patch of patches) {
+                const existing = last.patches.find(entry => entry.path === patch.path);
+                if (existing) {
+                    existing.after = patch.after;
+                } else {
+                    last.patches.push({ ...patch });
+                }
+            }
+            return;
+        }
+        
+        this.history.push({ patches: patches.map(patch => ({ ...patch })), timestamp: now });
+        this.historyIndex = this.history.length;
         
         // Limitar tamaño del historial
         if (this.history.length > this.historyLimit) {
@@ -457,6 +637,52 @@ class StateManager {
         }
     }
     
+    /**
+     * Indica si un path es igual, ancestro o descendiente de otro
+     * @private
+     */
+    pathsOverlap(a, b) {
+        return a === b || a.startsWith(`${b}.`) || b.startsWith(`${a}.`);
+    }
+    
+    /**
+     * Devuelve una copia de `node` con el valor de `keys` reemplazado
+     * Solo se copian los objetos del camino; el resto se comparte con el estado anterior.
+     * @private
+     */
+    updateIn(node, keys, index, value) {
+        if (index === keys.length) return value;
+        
+        const key = keys[index];
+        const container = node !== null && typeof node === 'object' ? node : {};
+        const copy = Array.isArray(container) ? container.slice() : { ...container };
+        
+        const child = this.updateIn(container[key], keys, index + 1, value);
+        if (child === undefined) {
+            delete copy[key];
+        } else {
+            copy[key] = child;
+        }
+        
+        return copy;
+    }
+    
+    /**
+     * Aplica los parches de una entrada del historial
+     * @param {Object} entry - Entrada del historial
+     * @param {string} direction - 'before' (undo) o 'after' (redo)
+     * @private
+     */
+    applyHistoryEntry(entry, direction) {
+        const patches = direction === 'before' ? [...entry.patches].reverse() : entry.patches;
+        
+        for (const patch of patches) {
+            this.state = patch.path === ''
+                ? patch[direction]
+                : this.updateIn(this.state, patch.path.split('.'), 0, patch[direction]);
+        }
+    }
+    
     /**
      * Revierte al estado anterior (undo)
      * @returns {boolean} true si se pudo deshacer
@@ -468,7 +694,7 @@ class StateManager {
         }
         
         this.historyIndex--;
-        this.state = this.deepClone(this.history[this.historyIndex]);
+        this.applyHistoryEntry(this.history[this.historyIndex], 'before');
         
         // Notificar cambio global
         this.notifyGlobalChange();
@@ -482,13 +708,13 @@ class StateManager {
      * @returns {boolean} true si se pudo rehacer
      */
     redo() {
-        if (this.historyIndex >= this.history.length - 1) {
+        if (this.historyIndex >= this.history.length) {
             console.warn('⚠️ StateManager: No hay estados posteriores');
             return false;
         }
         
+        this.applyHistoryEntry(this.history[this.historyIndex], 'after');
         this.historyIndex++;
-        this.state = this.deepClone(this.history[this.historyIndex]);
         
         // Notificar cambio global
         this.notifyGlobalChange();
@@ -543,13 +769,14 @@ class StateManager {
             return;
         }
         
-        // Guardar en historial
+        const previousState = this.state;
+        this.state = this.deepClone(newState);
+        
+        // Guardar en historial (path vacío = estado completo)
         if (options.history !== false) {
-            this.saveToHistory();
+            this.saveToHistory([{ path: '', before: previousState, after: this.state }]);
         }
         
-        this.state = this.deepClone(newState);
-        
         // Notificar cambio global
         if (options.notify !== false) {
             this.notifyGlobalChange();
@@ -561,7 +788,10 @@ class StateManager {
      */
     reset() {
         this.history = [];
-        this.historyIndex = -1;
+        this.historyIndex = 0;
+        
+        // La configuración no pertenece a la partida y se conserva
+        this.state = { ...this.createInitialState(), settings: this.state.settings };
         this.initializeDefaultState();
         this.notifyGlobalChange();
         console.log('🔄 StateManager: Estado reseteado');
@@ -575,6 +805,7 @@ class StateManager {
         return {
             historySize: this.history.length,
             historyIndex: this.historyIndex,
+            historyPatches: this.history.reduce((total, entry) => total + entry.patches.length, 0),
             listenerCount: this.stateListeners.size,
             updateQueueSize: this.updateQueue.size,
             stateSize: JSON.stringify(this.state).length
@@ -0,0 +1,173 @@
+/**
+ * StorageAdapters - Almacenamiento clave/valor para SaveSystem
+ * Responsabilidad: Aislar a SaveSystem del mecanismo de almacenamiento del navegador
+ *
+ * Todos los adaptadores comparten la misma interfaz asíncrona:
+ * - open(): prepara el almacenamiento (lanza un error si no está disponible)
+ * - getItem(key): valor guardado o null
+ * - setItem(key, value) / removeItem(key)
+ * - keys(): todas las claves guardadas
+ */
+
+/**
+ * Adaptador de IndexedDB (sin el límite de ~5 MB de localStorage)
+ */
+class IndexedDBStorageAdapter {
+    constructor(dbName = 'chrono-farmer', storeName = 'saves') {
+        this.name = 'indexeddb';
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.db = null;
+    }
+
+    /**
+     * Indica si el navegador tiene IndexedDB
+     * @returns {boolean} true si está disponible
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Abre (o crea) la base de datos
+     * @returns {Promise<IndexedDBStorageAdapter>} El propio adaptador
+     */
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName);
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getItem(key) {
+        const value = await this.request('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async setItem(key, value) {
+        await this.request('readwrite', store => store.put(value, key));
+    }
+
+    async removeItem(key) {
+        await this.request('readwrite', store => store.delete(key));
+    }
+
+    async keys() {
+        const keys = await this.request('readonly', store => store.getAllKeys());
+        return keys.map(String);
+    }
+
+    /**
+     * Ejecuta una operación en una transacción y espera a que termine
+     * @private
+     */
+    request(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
+
+/**
+ * Adaptador de localStorage
+ */
+class LocalStorageAdapter {
+    constructor() {
+        this.name = 'localstorage';
+    }
+
+    /**
+     * Indica si localStorage se puede usar (en modo privado puede fallar al escribir)
+     * @returns {boolean} true si está disponible
+     */
+    static isSupported() {
+        try {
+            const test = '__storage_test__';
+            localStorage.setItem(test, test);
+            localStorage.removeItem(test);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async open() {
+        if (!LocalStorageAdapter.isSupported()) {
+            throw new Error('localStorage no soportado');
+        }
+        return this;
+    }
+
+    async getItem(key) {
+        return localStorage.getItem(key);
+    }
+
+    async setItem(key, value) {
+        localStorage.setItem(key, value);
+    }
+
+    async removeItem(key) {
+        localStorage.removeItem(key);
+    }
+
+    async keys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            keys.push(localStorage.key(i));
+        }
+        return keys;
+    }
+}
+
+/**
+ * Adaptador en memoria (tests y navegadores sin almacenamiento, como el modo privado)
+ * Los datos se pierden al cerrar la página.
+ */
+class MemoryStorageAdapter {
+    constructor() {
+        this.name = 'memory';
+        this.items = new Map();
+    }
+
+    static isSupported() {
+        return true;
+    }
+
+    async open() {
+        return this;
+    }
+
+    async getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    async setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    async removeItem(key) {
+        this.items.delete(key);
+    }
+
+    async keys() {
+        return [...this.items.keys()];
+    }
+}
+
+// Exportar para uso global
+window.IndexedDBStorageAdapter = IndexedDBStorageAdapter;
+window.LocalStorageAdapter = LocalStorageAdapter;
+window.MemoryStorageAdapter = MemoryStorageAdapter;
@@ -35,6 +35,18 @@ window.eraData = {
             temporalResonance: 1.1 // Mejor generación de pulsos temporales
         },
         
+        // Clima (probabilidades relativas)
+        weather: {
+            'clear': 0.45,
+            'rainy': 0.2,
+            'sunny': 0.1,
+            'ash-fall': 0.1,
+            'meteor-shower': 0.06,
+            'stormy': 0.05,
+            'temporal-storm': 0.03,
+            'paradox': 0.01
+        },
+        
         // Minijuego
         minigame: {
             id: 'meteor-dodge',
@@ -151,6 +163,16 @@ window.eraData = {
             sunBlessing: 1.15      // Bonus con luz solar
         },
         
+        weather: {
+            'clear': 0.35,
+            'sunny': 0.3,
+            'sandstorm': 0.12,
+            'nile-flood': 0.1,
+            'rainy': 0.08,
+            'temporal-storm': 0.04,
+            'paradox': 0.01
+        },
+        
         minigame: {
             id: 'aqueduct-puzzle',
             name: 'Acueducto de los Dioses',
@@ -267,6 +289,15 @@ window.eraData = {
             energyConversion: 1.3  // Convierte energía en crecimiento
         },
         
+        weather: {
+            'clear': 0.45,
+            'rainy': 0.15,
+            'sunny': 0.1,
+            'ion-storm': 0.2,
+            'temporal-storm': 0.07,
+            'paradox': 0.03
+        },
+        
         minigame: {
             id: 'hoverboard-race',
             name: 'Carrera de Hoverboards',
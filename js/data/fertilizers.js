@@ -0,0 +1,81 @@
+/**
+ * Datos de abonos del juego
+ * Los abonos se fabrican con recursos de cosecha y reponen los nutrientes del suelo.
+ *
+ * Curva de nutrientes:
+ * - instant: nutrientes que se aportan al abonar
+ * - release: nutrientes que se liberan poco a poco durante `duration` ms de juego
+ */
+
+window.fertilizerData = {
+    'fossil-meal': {
+        id: 'fossil-meal',
+        name: 'Harina de Fósil',
+        description: 'Fósiles molidos con fibra vegetal. Se descompone despacio y alimenta el suelo durante mucho tiempo.',
+        emoji: '🦴',
+        era: 'prehistoric',
+        recipe: {
+            'fossils': 3,
+            'plant-fiber': 1
+        },
+        nutrients: {
+            instant: 10,
+            release: 40,
+            duration: 120000 // Liberación lenta: 2 minutos
+        }
+    },
+
+    'sacred-compost': {
+        id: 'sacred-compost',
+        name: 'Compost Sagrado',
+        description: 'Pétalos de loto fermentados con polvo sagrado del templo. Un abono equilibrado.',
+        emoji: '🏺',
+        era: 'egyptian',
+        recipe: {
+            'lotus-petals': 2,
+            'sacred-dust': 1
+        },
+        nutrients: {
+            instant: 25,
+            release: 25,
+            duration: 60000
+        }
+    },
+
+    'nano-nutrients': {
+        id: 'nano-nutrients',
+        name: 'Nanonutrientes',
+        description: 'Nanobots cargados de minerales que llegan a la raíz al instante. No dejan reserva en el suelo.',
+        emoji: '🧪',
+        era: 'future',
+        recipe: {
+            'data-crystals': 2,
+            'quantum-essence': 1
+        },
+        nutrients: {
+            instant: 50,
+            release: 0,
+            duration: 0
+        }
+    }
+};
+
+/**
+ * Obtiene datos de un abono por su ID
+ * @param {string} fertilizerId - ID del abono
+ * @returns {Object|null} Datos del abono
+ */
+window.getFertilizerData = function (fertilizerId) {
+    return window.fertilizerData[fertilizerId] || null;
+};
+
+/**
+ * Obtiene los abonos que se pueden fabricar con las eras desbloqueadas
+ * @param {Array} unlockedEras - Eras desbloqueadas
+ * @returns {Array} Abonos disponibles
+ */
+window.getUnlockedFertilizers = function (unlockedEras) {
+    return Object.values(window.fertilizerData).filter(fertilizer => unlockedEras.includes(fertilizer.era));
+};
+
+console.log('🧪 Abonos: Datos de abonos cargados');
@@ -16,10 +16,17 @@ window.plantData = {
         waterRequirement: 0.6, // 60% de agua mínimo
         nutrientRequirement: 0.4, // 40% de nutrientes mínimo
 
+        // Estaciones: en las preferidas crece y rinde más, en las prohibidas sufre
+        seasons: {
+            preferred: ['spring', 'autumn'],
+            forbidden: []
+        },
+
         // Efectos especiales
         effects: {
             temporalResonance: 1.2, // Aumenta la generación de pulsos temporales
-            earthConnection: 1.1   // Mejora la absorción de nutrientes
+            earthConnection: 1.1,  // Mejora la absorción de nutrientes
+            nocturnal: 1.2         // Acostumbrado a la oscuridad de las cuevas
         },
 
         // Recompensas de cosecha
@@ -59,6 +66,11 @@ window.plantData = {
         waterRequirement: 0.7,
         nutrientRequirement: 0.5,
 
+        seasons: {
+            preferred: ['spring', 'summer'],
+            forbidden: ['winter']
+        },
+
         effects: {
             temporalResonance: 1.3,
             photosynthesis: 1.15 // Mejora la eficiencia de crecimiento
@@ -100,6 +112,11 @@ window.plantData = {
         waterRequirement: 0.8,
         nutrientRequirement: 0.6,
 
+        seasons: {
+            preferred: ['summer'],
+            forbidden: ['winter']
+        },
+
         effects: {
             sunBlessing: 1.25, // Crece mejor con luz
             waterBlessing: 1.1  // Mayor retención de agua
@@ -141,6 +158,11 @@ window.plantData = {
         waterRequirement: 0.9,
         nutrientRequirement: 0.5,
 
+        seasons: {
+            preferred: ['spring', 'summer'],
+            forbidden: ['winter']
+        },
+
         effects: {
             knowledgePreservation: 1.2, // Mayor experiencia al cosechar
             waterAffinity: 1.15        // Crece mejor cerca del agua
@@ -183,6 +205,11 @@ window.plantData = {
         waterRequirement: 0.3, // Necesita poca agua
         nutrientRequirement: 0.8, // Pero muchos nutrientes
 
+        seasons: {
+            preferred: ['winter'],
+            forbidden: ['summer']
+        },
+
         effects: {
             energyConversion: 1.4, // Convierte luz/energía en crecimiento
             crystalResonance: 1.3  // Aumenta la producción de cristales
@@ -225,10 +252,16 @@ window.plantData = {
         waterRequirement: 0.4,
         nutrientRequirement: 0.9,
 
+        seasons: {
+            preferred: ['autumn'],
+            forbidden: ['summer']
+        },
+
         effects: {
             dataProcessing: 1.5,    // Genera más recursos digitales
             neuralLink: 1.2,        // Mejora todas las plantas cercanas
-            autoOptimization: 1.1   // Se optimiza automáticamente
+            autoOptimization: 1.1,  // Se optimiza automáticamente
+            nocturnal: 1.3          // Crece más rápido de noche
         },
 
         harvestYield: {
@@ -269,6 +302,11 @@ window.plantData = {
         waterRequirement: 0.5,
         nutrientRequirement: 0.5,
 
+        seasons: {
+            preferred: ['spring'],
+            forbidden: []
+        },
+
         effects: {
             temporalMastery: 2.0, // Duplica la producción de todos los recursos
             timeDilation: 1.5,    // Ralentiza el tiempo para las plantas cercanas
@@ -303,6 +341,29 @@ window.plantData = {
     }
 };
 
+/**
+ * Efectos de estrés de las plantas
+ * Una planta por debajo de su `waterRequirement` o `nutrientRequirement` se estresa:
+ * crece más despacio y acumula estrés (ms ponderados por el déficit). Si el estrés
+ * acumulado llega a `witherAfter`, la planta se marchita.
+ */
+window.plantStressEffects = {
+    dehydrated: {
+        name: 'Deshidratada',
+        emoji: '🥵',
+        growth: 0.5,
+        yield: 1.0,
+        witherAfter: 60000 // 1 minuto sin una gota de agua
+    },
+    malnourished: {
+        name: 'Desnutrida',
+        emoji: '🍂',
+        growth: 0.75,
+        yield: 0.75, // Reduce la calidad de la cosecha
+        witherAfter: 120000 // 2 minutos con el suelo agotado
+    }
+};
+
 /**
  * Obtiene datos de una planta por su ID
  * @param {string} plantId - ID de la planta
@@ -312,6 +373,21 @@ window.getPlantData = function (plantId) {
     return window.plantData[plantId] || null;
 };
 
+/**
+ * Indica cómo le sienta una estación a una planta
+ * @param {string} plantId - ID de la planta
+ * @param {string} season - ID de la estación (spring, summer, autumn, winter)
+ * @returns {string} 'preferred', 'forbidden' o 'neutral'
+ */
+window.getPlantSeasonAffinity = function (plantId, season) {
+    const seasons = window.plantData[plantId]?.seasons;
+    if (!seasons) return 'neutral';
+
+    if (seasons.preferred?.includes(season)) return 'preferred';
+    if (seasons.forbidden?.includes(season)) return 'forbidden';
+    return 'neutral';
+};
+
 /**
  * Obtiene todas las plantas de una era específica
  * @param {string} era - Era de las plantas
@@ -0,0 +1,76 @@
+/**
+ * Datos de tipos de suelo de la granja
+ * Cada plot tiene un tipo de suelo fijo y una calidad (`soilQuality`, 0-100) que baja
+ * con el monocultivo y se recupera rotando cultivos de distintas eras.
+ */
+
+window.soilTypes = {
+    standard: {
+        id: 'standard',
+        name: 'Tierra común',
+        emoji: '🟫',
+        weight: 50, // Probabilidad relativa al generar la granja
+        waterRetention: 1.0,
+        nutrientCapacity: 1.0,
+        growthMultiplier: 1.0
+    },
+    fertile: {
+        id: 'fertile',
+        name: 'Tierra fértil',
+        emoji: '🌱',
+        weight: 15,
+        waterRetention: 1.2,
+        nutrientCapacity: 1.3,
+        growthMultiplier: 1.25,
+        initialNutrients: 80
+    },
+    sandy: {
+        id: 'sandy',
+        name: 'Suelo arenoso',
+        emoji: '🏜️',
+        weight: 20,
+        waterRetention: 0.6,
+        nutrientCapacity: 0.8,
+        growthMultiplier: 0.9,
+        initialWater: 30
+    },
+    rocky: {
+        id: 'rocky',
+        name: 'Suelo pedregoso',
+        emoji: '🪨',
+        weight: 15,
+        waterRetention: 0.8,
+        nutrientCapacity: 0.6,
+        growthMultiplier: 0.8,
+        initialNutrients: 30
+    }
+};
+
+/**
+ * Obtiene datos de un tipo de suelo (suelo común si no existe)
+ * @param {string} soilType - ID del tipo de suelo
+ * @returns {Object} Datos del suelo
+ */
+window.getSoilData = function (soilType) {
+    return window.soilTypes[soilType] || window.soilTypes.standard;
+};
+
+/**
+ * Elige un tipo de suelo al azar según los pesos de cada tipo
+ * @param {Function} random - Generador de números aleatorios (0-1)
+ * @returns {string} ID del tipo de suelo
+ */
+window.rollSoilType = function (random = Math.random) {
+    const soils = Object.values(window.soilTypes);
+    const total = soils.reduce((sum, soil) => sum + soil.weight, 0);
+    let roll = random() * total;
+
+    for (const soil of soils) {
+        roll -= soil.weight;
+        if (roll < 0) return soil.id;
+    }
+
+    return 'standard';
+};
+
+console.log('🟫 Suelos: Datos de tipos de suelo cargados');
@@ -27,12 +27,18 @@ class ChronoFarmer {
         // Estado del juego
         this.isInitialized = false;
         this.currentScreen = 'loading';
+        this.lastSaveTimestamp = null;
+        this.offlineSummary = null; // Resumen pendiente de mostrar al continuar
 
         // Configuración
         this.config = {
             debugMode: false,
             autoSaveInterval: 60000, // 1 minuto
-            enableAnalytics: false
+            enableAnalytics: false,
+            offlineProgressCap: 8 * 60 * 60 * 1000, // Máximo tiempo offline simulado (null = sin límite)
+            minOfflineTime: 60000, // Ausencias más cortas no se simulan
+            offlineMaxSteps: 240, // Pasos de simulación como máximo
+            offlineMinStep: 1000
         };
 
         // Bind de métodos
@@ -67,6 +73,8 @@ class ChronoFarmer {
             // 4. Cargar datos guardados
             console.log('🚀 Paso 4: Cargando datos guardados...');
             await this.loadGameData();
+            this.syncSystemsWithState();
+            this.offlineSummary = this.applyOfflineProgress();
             console.log('✅ Paso 4 completado');
 
             // 5. Inicializar UI
@@ -105,6 +113,7 @@ class ChronoFarmer {
 
         // StateManager
         this.stateManager = new StateManager();
+        this.stateManager.strictValidation = this.config.debugMode;
         window.stateManager = this.stateManager;
 
         // DOMRenderer
@@ -227,6 +236,12 @@ class ChronoFarmer {
             this.showNotification('Error al guardar', 'error');
         });
 
+        this.eventBus.on('load:success', (data) => {
+            if (data.recovered) {
+                this.showNotification('La partida guardada estaba dañada, se recuperó desde un backup', 'warning');
+            }
+        });
+
         // Eventos de viaje temporal
         this.eventBus.on('timetravel:success', (data) => {
             this.onTimeTravel(data);
@@ -241,11 +256,79 @@ class ChronoFarmer {
             this.onPlantHarvested(data);
         });
 
+        this.eventBus.on('plant:withered', (data) => {
+            const effect = window.plantStressEffects?.[data.cause];
+            this.showNotification(`🥀 ${data.plant.name} se ha marchitado${effect ? ` (${effect.name.toLowerCase()})` : ''}`, 'warning');
+        });
+
         // Eventos de recursos
         this.eventBus.on('resources:changed', (data) => {
             this.onResourcesChanged(data);
         });
 
+        // Eventos de clima
+        this.eventBus.on('weather:changed', (data) => {
+            this.onWeatherChanged(data);
+        });
+
+        this.eventBus.on('plant:damaged', (data) => {
+            this.showNotification(`La tormenta dañó tu ${data.plant.name}`, 'warning');
+        });
+
+        // Eventos de tiempo
+        this.eventBus.on('time:season-changed', (data) => {
+            this.renderer?.updateSeason(data);
+            this.showNotification(`${data.emoji} Llega la estación: ${data.name}`, 'info');
+        });
+
+        this.eventBus.on('time:hour-changed', (clock) => {
+            this.renderer?.updateClock(clock);
+            this.renderer?.updateDayNight(clock);
+        });
+
+        this.eventBus.on('time:phase-changed', (data) => {
+            if (data.new === 'dawn') {
+                this.showNotification(`${data.emoji} Amanece en la granja`, 'info');
+            } else if (data.new === 'night') {
+                this.showNotification(`${data.emoji} Cae la noche: los animales diurnos se van a dormir`, 'info');
+            }
+        });
+
+        this.eventBus.on('time:new-day', () => {
+            if (this.timeSystem) {
+                this.renderer?.updateSeason(this.timeSystem.getSeasonInfo());
+            }
+        });
+
+        // Eventos de animales
+        this.eventBus.on('animals:loaded', () => this.renderAnimals());
+        this.eventBus.on('animal:added', () => this.renderAnimals());
+        this.eventBus.on('animal:removed', () => this.renderAnimals());
+
+        this.eventBus.on('animal:auras-changed', (data) => {
+            this.renderer?.renderAuras(data.plots);
+        });
+
+        this.eventBus.on('animal:error', (data) => {
+            this.showNotification(data.error, 'warning');
+        });
+
+        this.eventBus.on('animal:fed', (data) => {
+            this.showNotification(`${data.animal.emoji} ${data.animal.name} comió ${this.renderer.getResourceIcon(data.item)}`, 'success');
+        });
+
+        this.eventBus.on('animal:petted', (data) => {
+            this.showNotification(`${data.animal.emoji} ${data.animal.name} está encantado`, 'success');
+        });
+
+        this.eventBus.on('animal:bred', (data) => {
+            this.showNotification(`¡Nació un ${data.offspring.name} de generación ${data.offspring.generation}!`, 'success');
+        });
+
+        this.eventBus.on('animal:neglected', (data) => {
+            this.showNotification(`${data.animal.emoji} ${data.animal.name} está desatendido y dejó de producir`, 'warning');
+        });
+
         // Eventos de configuración
         this.eventBus.on('settings:changed', (data) => {
             this.onSettingsChanged(data);
@@ -261,11 +344,18 @@ class ChronoFarmer {
     async loadGameData() {
         console.log('💾 ChronoFarmer: Cargando datos guardados...');
 
+        // La configuración guarda el slot activo, así que se lee antes que la partida
+        const savedSettings = this.readSavedSettings();
+        if (savedSettings?.activeSlot) {
+            this.saveSystem.setActiveSlot(savedSettings.activeSlot);
+        }
+
         const savedData = await this.saveSystem.load();
 
         if (savedData) {
             // Restaurar estado
             this.stateManager.setState(savedData, { notify: false });
+            this.lastSaveTimestamp = savedData.timestamp || null;
             console.log('✅ Datos guardados cargados');
         } else {
             // Es un nuevo juego
@@ -274,17 +364,79 @@ class ChronoFarmer {
         }
 
         // Cargar configuración
-        const savedSettings = localStorage.getItem('chrono-farmer-settings');
         if (savedSettings) {
-            try {
-                const settings = JSON.parse(savedSettings);
-                this.stateManager.set('settings', settings);
-            } catch (error) {
-                console.warn('⚠️ Error cargando configuración:', error);
-            }
+            this.stateManager.set('settings', savedSettings);
+        }
+    }
+
+    /**
+     * Lee la configuración guardada
+     * @returns {Object|null} Configuración o null si no hay
+     * @private
+     */
+    readSavedSettings() {
+        const savedSettings = localStorage.getItem('chrono-farmer-settings');
+        if (!savedSettings) return null;
+
+        try {
+            return JSON.parse(savedSettings);
+        } catch (error) {
+            console.warn('⚠️ Error cargando configuración:', error);
+            return null;
         }
     }
 
+    /**
+     * Reconstruye el estado interno de los sistemas a partir del StateManager
+     * (los sistemas se inicializan antes de cargar la partida)
+     * @private
+     */
+    syncSystemsWithState() {
+        this.timeSystem?.restoreFromState();
+        this.timeTravelSystem?.restoreFromState();
+        this.achievementSystem?.restoreFromState();
+        this.plantSystem?.loadExistingPlants();
+        this.animalSystem?.loadAnimals();
+        this.weatherSystem?.restoreFromState();
+    }
+
+    /**
+     * Simula el tiempo transcurrido desde el último guardado en todos los sistemas
+     * @returns {Object|null} Resumen de lo ocurrido o null si no hubo ausencia
+     * @private
+     */
+    applyOfflineProgress() {
+        if (!this.lastSaveTimestamp || !this.gameEngine) return null;
+
+        const away = Date.now() - this.lastSaveTimestamp;
+        if (away < this.config.minOfflineTime) return null;
+
+        const cap = this.config.offlineProgressCap;
+        const simulated = cap ? Math.min(away, cap) : away;
+        const stepSize = Math.max(this.config.offlineMinStep, Math.ceil(simulated / this.config.offlineMaxSteps));
+
+        const summary = { away, simulated, ready: {}, withered: {}, produced: {} };
+        const count = (group, key, amount = 1) => {
+            group[key] = (group[key] || 0) + amount;
+        };
+
+        const listeners = [
+            ['plant:ready', (data) => count(summary.ready, data.plant.name)],
+            ['plant:withered', (data) => count(summary.withered, data.plant.name)],
+            ['animal:produced', (data) => count(summary.produced, data.item, data.amount)]
+        ].map(([event, handler]) => [event, this.eventBus.on(event, handler)]);
+
+        const steps = this.gameEngine.simulate(simulated, stepSize);
+
+        for (const [event, listenerId] of listeners) {
+            this.eventBus.off(event, listenerId);
+        }
+
+        this.eventBus.emit('game:offline-progress', summary);
+        console.log(`⏳ ChronoFarmer: Simulados ${Math.round(simulated / 1000)}s offline en ${steps} pasos`);
+        return summary;
+    }
+
     /**
      * Configura un nuevo juego
      * @private
@@ -295,29 +447,13 @@ class ChronoFarmer {
         // El estado por defecto ya está configurado en StateManager
         // Aquí podríamos agregar lógica adicional para nuevos jugadores
 
-        // 1. Inicializar la granja (8x6 grid = 48 plots)
-        const plots = [];
-        for (let row = 0; row < 6; row++) {
-            for (let col = 0; col < 8; col++) {
-                const plotId = `plot_${row}_${col}`;
-                plots.push({
-                    id: plotId,
-                    row: row,
-                    col: col,
-                    state: 'empty', // empty, planted, growing, ready, withered
-                    plant: null,
-                    waterLevel: 0,
-                    nutrientLevel: 0,
-                    plantedAt: null,
-                    lastWatered: null,
-                    growthProgress: 0
-                });
-            }
+        // 1. Inicializar la granja (8x6 grid = 48 plots con suelos al azar)
+        const farmReady = this.stateManager.set('farm.plots', Plot.createGrid())
+            && this.stateManager.set('farm.animals', []);
+        if (!farmReady) {
+            console.error('❌ ChronoFarmer: El estado rechazó la granja inicial');
         }
 
-        // IMPORTANTE: Guardar los plots en el StateManager
-        this.stateManager.set('farm.plots', plots);
-
         // 2. Inicializar inventario de semillas y recursos
         // IMPORTANTE: Hay que usar IDs que existan en plants.js (La base de datos de plantas)
         this.stateManager.set('player.inventory.seeds', {
@@ -356,14 +492,7 @@ class ChronoFarmer {
         this.setupUIEventListeners();
 
         // -- Renderizar grid de la granja
-        // Obtener los plots del estado (que ya deben estar ahí por loadGame o setupNewGame)
-        const plots = this.stateManager.get('farm.plots');
-
-        if (plots && this.renderer) {
-            this.renderer.renderFarmGrid(plots, (plot) => {
-                this.handlePlotClick(plot);
-            });
-        }
+        this.renderFarm();
 
         // Actualizar recursos en UI
         this.updateUI();
@@ -401,10 +530,43 @@ class ChronoFarmer {
             });
         }
 
+        // Archivo de partida a importar
+        const importInput = document.getElementById('import-file');
+        if (importInput) {
+            importInput.addEventListener('change', (event) => {
+                const file = event.target.files?.[0];
+                event.target.value = ''; // Permite volver a elegir el mismo archivo
+                if (file) {
+                    this.previewImport(file);
+                }
+            });
+        }
+
         // Modales
         this.setupModalHandlers();
     }
 
+    /**
+     * Renderiza la granja (plots, animales y auras) a partir del estado
+     * @private
+     */
+    renderFarm() {
+        // Obtener los plots del estado (que ya deben estar ahí por loadGame o setupNewGame)
+        const plots = this.stateManager.get('farm.plots');
+
+        if (plots && this.renderer) {
+            this.renderer.renderFarmGrid(plots, (plot) => {
+                this.handlePlotClick(plot);
+            });
+        }
+
+        // Renderizar animales sobre la granja (y sus auras)
+        this.renderAnimals();
+        if (this.animalSystem) {
+            this.renderer.renderAuras(this.animalSystem.getAuras());
+        }
+    }
+
     /**
      * Maneja acciones de la UI
      * @private
@@ -415,7 +577,7 @@ class ChronoFarmer {
                 this.startNewGame();
                 break;
             case 'continue':
-                this.continueGame();
+                this.showSaveSlots();
                 break;
             case 'settings':
                 this.showSettingsModal();
@@ -429,6 +591,12 @@ class ChronoFarmer {
             case 'close-modal':
                 this.closeModal(element.closest('.modal'));
                 break;
+            case 'export-save':
+                this.exportSaveFile();
+                break;
+            case 'import-save':
+                document.getElementById('import-file')?.click();
+                break;
         }
     }
 
@@ -449,6 +617,7 @@ class ChronoFarmer {
 
         // Actualizar estado
         this.stateManager.set('ui.selectedTool', toolName);
+        this.clearBreedingSelection();
 
         // Notificar evento
         this.eventBus.emit('tool:selected', { tool: toolName });
@@ -470,6 +639,9 @@ class ChronoFarmer {
             case 'water':
                 this.handleWaterAction(plot);
                 break;
+            case 'fertilize':
+                this.handleFertilizeAction(plot);
+                break;
             case 'harvest':
                 this.handleHarvestAction(plot);
                 break;
@@ -501,11 +673,7 @@ class ChronoFarmer {
         const success = this.plantSystem.plantSeed(plot.id, selectedSeed);
 
         if (success) {
-            // 3. Consumir la semilla del inventario
-            const currentCount = this.stateManager.get(`player.inventory.seeds.${selectedSeed}`, 0);
-            this.stateManager.set(`player.inventory.seeds.${selectedSeed}`, currentCount - 1);
-            
-
+            // La semilla ya fue consumida por PlantSystem a través de ResourceSystem
             this.updateUI();
             this.showNotification('¡Semilla plantada!', 'success');
         } else {
@@ -526,6 +694,76 @@ class ChronoFarmer {
         }
     }
 
+    /**
+     * Maneja la acción de abonar
+     * @private
+     */
+    handleFertilizeAction(plot) {
+        if (!this.plantSystem) return;
+
+        const selectedFertilizer = this.stateManager.get('ui.selectedFertilizer');
+        if (!selectedFertilizer) {
+            this.showNotification('Selecciona un abono primero', 'warning');
+            return;
+        }
+
+        if (this.resourceSystem?.getFertilizerCount(selectedFertilizer) <= 0) {
+            this.showNotification('No te queda ese abono: fabrica más en el taller', 'warning');
+            return;
+        }
+
+        const success = this.plantSystem.fertilizePlant(plot.id, selectedFertilizer);
+        if (success) {
+            this.showNotification('Planta abonada', 'success');
+        }
+    }
+
+    /**
+     * Selecciona un abono y activa la herramienta de abonar
+     * @private
+     */
+    selectFertilizer(fertilizerType) {
+        this.stateManager.set('ui.selectedFertilizer', fertilizerType);
+        this.selectTool('fertilize');
+        this.updateUI();
+    }
+
+    /**
+     * Fabrica un abono con los recursos de su receta
+     * @private
+     */
+    handleCraftFertilizer(fertilizerType) {
+        const fertilizer = window.getFertilizerData?.(fertilizerType);
+        if (!fertilizer || !this.resourceSystem) return;
+
+        if (!this.resourceSystem.canAfford(fertilizer.recipe)) {
+            this.showNotification(`Faltan recursos para fabricar ${fertilizer.name}`, 'error');
+            return;
+        }
+
+        if (this.resourceSystem.craftFertilizer(fertilizerType, fertilizer.recipe)) {
+            this.showNotification(`${fertilizer.emoji} ${fertilizer.name} fabricado`, 'success');
+        }
+    }
+
+    /**
+     * Obtiene los abonos del taller (eras desbloqueadas)
+     * @private
+     */
+    getFertilizerItems() {
+        if (!window.getUnlockedFertilizers) return [];
+
+        const unlockedEras = this.stateManager.get('player.unlockedEras', ['prehistoric']);
+        const selected = this.stateManager.get('ui.selectedFertilizer');
+
+        return window.getUnlockedFertilizers(unlockedEras).map(fertilizer => ({
+            ...fertilizer,
+            count: this.resourceSystem?.getFertilizerCount(fertilizer.id) || 0,
+            affordable: this.resourceSystem?.canAfford(fertilizer.recipe) || false,
+            selected: fertilizer.id === selected
+        }));
+    }
+
     /**
      * Maneja la acción de cosechar
      * @private
@@ -533,6 +771,12 @@ class ChronoFarmer {
     handleHarvestAction(plot) {
         if (!this.plantSystem) return;
 
+        // La hoz también retira los cultivos marchitos
+        if (this.plantSystem.clearWitheredPlant(plot.id)) {
+            this.showNotification('🧹 Cultivo marchito retirado', 'info');
+            return;
+        }
+
         const success = this.plantSystem.harvestPlant(plot.id);
         if (success) {
             this.updateUI();
@@ -545,29 +789,139 @@ class ChronoFarmer {
      * @private
      */
     handleAccelerateAction(plot) {
-        const temporalPulses = this.stateManager.get('player.inventory.resources.temporal-pulses', 0);
-        const cost = 5; // Costo en pulsos temporales
+        if (!this.plantSystem || !this.resourceSystem) return;
 
-        if (temporalPulses < cost) {
+        const cost = { 'temporal-pulses': 5 }; // Costo en pulsos temporales
+
+        // 1. Verificar que se puede pagar antes de tocar la planta
+        if (!this.resourceSystem.canAfford(cost)) {
             this.showNotification('No tienes suficientes pulsos temporales', 'error');
             return;
         }
 
-        // 1. Consumir recursos
-        this.stateManager.set('player.inventory.resources.temporal-pulses', temporalPulses - cost);
-
         // 2. Aplicar aceleración en el sistema de plantas
-        if (this.plantSystem) {
-            // Aumentamos el progreso (ejemplo: +20% por cada rayito)
-            const success = this.plantSystem.accelerateGrowth(plot.id, 20);
-
-            if (success) {
-                this.showNotification('¡Energía temporal aplicada!', 'success');
-                // 3. ¡IMPORTANTE! Forzar el renderizado del plot específico
-                this.updateUI();
-            }
+        // Aumentamos el progreso (ejemplo: +20% por cada rayito)
+        const progress = this.plantSystem.accelerateGrowth(plot.id, 20);
+        if (progress === null) return;
+
+        // 3. Cobrar solo si la aceleración se aplicó
+        this.resourceSystem.processPayment(cost, 'accelerate');
+
+        this.showNotification('¡Energía temporal aplicada!', 'success');
+        // 4. ¡IMPORTANTE! Forzar el renderizado del plot específico
+        this.updateUI();
+    }
+
+    /**
+     * Renderiza los animales de la granja
+     * @private
+     */
+    renderAnimals() {
+        if (!this.renderer || !this.animalSystem) return;
+
+        this.renderer.renderAnimals(this.animalSystem.getAnimals(), (animal) => {
+            this.handleAnimalClick(animal);
+        });
+    }
+
+    /**
+     * Maneja el click en un animal según la herramienta seleccionada
+     * @private
+     */
+    handleAnimalClick(animal) {
+        if (!this.animalSystem) return;
+
+        const selectedTool = this.stateManager.get('ui.selectedTool', 'plant');
+
+        switch (selectedTool) {
+            case 'feed':
+                this.animalSystem.feedAnimal(animal.id);
+                break;
+            case 'pet':
+                this.animalSystem.petAnimal(animal.id);
+                break;
+            case 'breed':
+                this.handleBreedAction(animal);
+                break;
+            default:
+                this.handleCollectAction(animal);
+                break;
+        }
+    }
+
+    /**
+     * Selecciona la pareja a criar: el primer click elige un progenitor,
+     * el segundo intenta la cría
+     * @private
+     */
+    handleBreedAction(animal) {
+        const selectedId = this.stateManager.get('ui.breedingSelection');
+
+        if (!selectedId || !this.animalSystem.getAnimal(selectedId)) {
+            this.stateManager.set('ui.breedingSelection', animal.id);
+            this.renderer.setAnimalSelected(animal.id, true);
+            this.showNotification(`Elige otro ${animal.name} para criar`, 'info');
+            return;
         }
 
+        this.clearBreedingSelection();
+
+        if (selectedId !== animal.id) {
+            this.animalSystem.breedAnimals(selectedId, animal.id);
+        }
+    }
+
+    /**
+     * Deshace la selección de progenitores
+     * @private
+     */
+    clearBreedingSelection() {
+        const selectedId = this.stateManager.get('ui.breedingSelection');
+        if (!selectedId) return;
+
+        this.renderer.setAnimalSelected(selectedId, false);
+        this.stateManager.set('ui.breedingSelection', null);
+    }
+
+    /**
+     * Recolecta la producción de un animal
+     * @private
+     */
+    handleCollectAction(animal) {
+        const amount = this.animalSystem.collectProduction(animal.id);
+        if (amount > 0) {
+            this.showNotification(`Recolectaste ${amount} ${this.renderer.getResourceIcon(animal.production.item)}`, 'success');
+        } else {
+            this.showNotification(`${animal.name} aún no tiene nada para recolectar`, 'info');
+        }
+    }
+
+    /**
+     * Maneja la compra de un animal desde la tienda
+     * @private
+     */
+    handleBuyAnimal(animalType) {
+        if (!this.animalSystem) return;
+
+        const animal = this.animalSystem.buyAnimal(animalType);
+        if (animal) {
+            this.showNotification(`¡${animal.name} llegó a la granja!`, 'success');
+        }
+    }
+
+    /**
+     * Obtiene los animales a la venta (eras desbloqueadas)
+     * @private
+     */
+    getAnimalShopItems() {
+        if (!window.getAnimalsByEra) return [];
+
+        const unlockedEras = this.stateManager.get('player.unlockedEras', ['prehistoric']);
+
+        return unlockedEras.flatMap(era => window.getAnimalsByEra(era)).map(animal => ({
+            ...animal,
+            affordable: this.resourceSystem?.canAfford(animal.cost || {}) || false
+        }));
     }
 
     /**
@@ -724,12 +1078,25 @@ class ChronoFarmer {
      * Inicia un nuevo juego
      * @private
      */
-    startNewGame() {
+    async startNewGame() {
         console.log('🌱 ChronoFarmer: Iniciando nuevo juego...');
 
-        // Resetear estado
-        this.stateManager.reset();
-        this.setupNewGame();
+        // La nueva partida va al primer slot libre (si no hay, reemplaza la activa si el jugador lo confirma)
+        const freeSlot = this.saveSystem.getFreeSlot();
+        if (freeSlot) {
+            await this.saveCurrentSlot();
+            this.saveSystem.setActiveSlot(freeSlot);
+        } else {
+            const name = this.saveSystem.getSaveInfo()?.name || this.saveSystem.activeSlot;
+            if (!confirm(`No quedan slots libres. ¿Reemplazar "${name}" por una nueva partida?`)) {
+                this.showSaveSlots();
+                return;
+            }
+        }
+
+        this.resetGame();
+        this.saveSystem.sessionActive = true;
+        await this.saveSystem.save();
 
         // Mostrar UI del juego
         this.showGameUI();
@@ -744,7 +1111,186 @@ class ChronoFarmer {
      */
     continueGame() {
         console.log('▶️ ChronoFarmer: Continuando juego...');
+        this.saveSystem.sessionActive = true;
         this.showGameUI();
+
+        if (this.offlineSummary) {
+            this.renderer.renderOfflineSummary(this.offlineSummary);
+            this.renderer.showModal('offline-modal');
+            this.offlineSummary = null;
+        }
+    }
+
+    /**
+     * Muestra la pantalla de partidas guardadas
+     * @private
+     */
+    showSaveSlots() {
+        this.renderer.renderSaveSlots(this.saveSystem.getSlots(), {
+            load: (slotId) => this.loadSlot(slotId),
+            duplicate: (slotId) => this.duplicateSlot(slotId),
+            delete: (slotId) => this.deleteSlot(slotId)
+        });
+        this.renderer.showModal('saves-modal');
+    }
+
+    /**
+     * Carga la partida de un slot y entra al juego
+     * @param {string} slotId - ID del slot
+     * @private
+     */
+    async loadSlot(slotId) {
+        this.renderer.hideModal('saves-modal');
+
+        // El slot activo ya está cargado en memoria
+        if (slotId !== this.saveSystem.activeSlot) {
+            await this.saveCurrentSlot();
+            this.saveSystem.setActiveSlot(slotId);
+
+            this.stateManager.reset();
+            await this.loadGameData();
+            this.syncSystemsWithState();
+            this.offlineSummary = this.applyOfflineProgress();
+            this.renderFarm();
+        }
+
+        this.continueGame();
+    }
+
+    /**
+     * Duplica la partida de un slot en el primer slot libre
+     * @param {string} slotId - ID del slot
+     * @private
+     */
+    async duplicateSlot(slotId) {
+        if (!await this.saveSystem.duplicateSlot(slotId)) {
+            this.showNotification('No hay slots libres para duplicar la partida', 'warning');
+            return;
+        }
+
+        this.showSaveSlots();
+    }
+
+    /**
+     * Borra la partida de un slot (si es la activa, la partida en memoria vuelve a empezar
+     * y no se guarda hasta que el jugador empiece o cargue una)
+     * @param {string} slotId - ID del slot
+     * @private
+     */
+    async deleteSlot(slotId) {
+        const name = this.saveSystem.getSaveInfo(slotId)?.name || slotId;
+        if (!confirm(`¿Seguro que quieres borrar "${name}"?`)) return;
+
+        await this.saveSystem.deleteSlot(slotId);
+
+        if (slotId === this.saveSystem.activeSlot) {
+            this.resetGame();
+        }
+
+        this.showSaveSlots();
+    }
+
+    /**
+     * Muestra la configuración
+     * @private
+     */
+    showSettingsModal() {
+        this.renderer.showModal('settings-modal');
+    }
+
+    /**
+     * Descarga la partida en memoria como archivo JSON
+     * @private
+     */
+    exportSaveFile() {
+        try {
+            this.renderer.downloadFile(this.saveSystem.getExportFilename(), this.saveSystem.exportSave());
+            this.showNotification('Partida exportada', 'success');
+        } catch (error) {
+            this.showNotification('No se pudo exportar la partida', 'error');
+        }
+    }
+
+    /**
+     * Valida un archivo de partida y muestra la vista previa antes de importarlo
+     * @param {File} file - Archivo elegido por el jugador
+     * @private
+     */
+    async previewImport(file) {
+        let report;
+        try {
+            report = this.saveSystem.validateImport(await file.text());
+        } catch (error) {
+            console.error('❌ Error leyendo el archivo de partida:', error);
+            this.showNotification('No se pudo leer el archivo', 'error');
+            return;
+        }
+
+        this.renderer.renderImportPreview(report, {
+            confirm: () => this.applyImport(report),
+            cancel: () => this.renderer.hideModal('import-modal')
+        });
+        this.renderer.hideModal('settings-modal');
+        this.renderer.showModal('import-modal');
+    }
+
+    /**
+     * Importa la partida validada en el slot activo y la carga sin recargar la página
+     * @param {Object} report - Informe de SaveSystem.validateImport()
+     * @private
+     */
+    async applyImport(report) {
+        this.renderer.hideModal('import-modal');
+
+        const saveData = await this.saveSystem.importSave(report);
+        if (!saveData) {
+            this.showNotification('No se pudo importar la partida', 'error');
+            return;
+        }
+
+        this.reloadFromSave(saveData);
+        this.continueGame();
+        this.showNotification('Partida importada', 'success');
+    }
+
+    /**
+     * Reemplaza la partida en memoria por unos datos de guardado y resincroniza
+     * los sistemas y la UI (la configuración del dispositivo se conserva)
+     * @param {Object} saveData - Datos de guardado ya migrados
+     * @private
+     */
+    reloadFromSave(saveData) {
+        const settings = this.stateManager.get('settings');
+
+        this.stateManager.reset();
+        this.stateManager.setState({ ...saveData, settings }, { notify: false });
+        this.lastSaveTimestamp = saveData.timestamp || null;
+
+        this.syncSystemsWithState();
+        this.offlineSummary = null;
+        this.renderFarm();
+    }
+
+    /**
+     * Reemplaza la partida en memoria por una nueva
+     * @private
+     */
+    resetGame() {
+        this.stateManager.reset();
+        this.setupNewGame();
+        this.syncSystemsWithState();
+        this.offlineSummary = null;
+        this.renderFarm();
+    }
+
+    /**
+     * Guarda la partida en memoria antes de cambiar de slot
+     * @private
+     */
+    async saveCurrentSlot() {
+        if (this.saveSystem.hasSlotData(this.saveSystem.activeSlot)) {
+            await this.saveSystem.save();
+        }
     }
 
     /**
@@ -821,11 +1367,30 @@ class ChronoFarmer {
         const currentEra = this.stateManager.get('time.currentEra');
         this.renderer.updateEra(currentEra);
 
+        // Actualizar estación y reloj
+        if (this.timeSystem) {
+            const clock = this.timeSystem.getClockInfo();
+            this.renderer.updateSeason(this.timeSystem.getSeasonInfo());
+            this.renderer.updateClock(clock);
+            this.renderer.updateDayNight(clock);
+        }
+
         // Actualizar semillas
         const seeds = this.stateManager.get('player.inventory.seeds');
         this.renderer.renderSeedsPanel(seeds, (seedType) => {
             this.stateManager.set('ui.selectedSeed', seedType);
         });
+
+        // Actualizar taller de abonos
+        this.renderer.renderFertilizerWorkshop(this.getFertilizerItems(), {
+            select: (fertilizerType) => this.selectFertilizer(fertilizerType),
+            craft: (fertilizerType) => this.handleCraftFertilizer(fertilizerType)
+        });
+
+        // Actualizar tienda de animales
+        this.renderer.renderAnimalShop(this.getAnimalShopItems(), (animalType) => {
+            this.handleBuyAnimal(animalType);
+        });
     }
 
     /**
@@ -833,6 +1398,9 @@ class ChronoFarmer {
      * @private
      */
     showNotification(message, type = 'info') {
+        // Durante el progreso offline se muestra un resumen en su lugar
+        if (this.gameEngine?.isSimulating) return;
+
         if (this.renderer) {
             this.renderer.showNotification(message, type);
         }
@@ -873,6 +1441,21 @@ class ChronoFarmer {
         this.updateUI();
     }
 
+    /**
+     * Maneja cambios de clima
+     * @private
+     */
+    onWeatherChanged(data) {
+        if (data.old === data.new || !this.weatherSystem || this.gameEngine?.isSimulating) return;
+
+        const weather = this.weatherSystem.getCurrentWeather();
+        this.showNotification(`${weather.emoji} El clima cambió: ${weather.name}`, 'info');
+
+        if (weather.temporalEvent) {
+            this.renderer?.showTemporalEvent(weather.id, weather.emoji);
+        }
+    }
+
     /**
      * Maneja cambios de configuración
      * @private
@@ -915,6 +1498,9 @@ class ChronoFarmer {
             audioManager: this.audioManager?.getStats(),
             plantSystem: this.plantSystem?.getStats(),
             timeTravelSystem: this.timeTravelSystem?.getStats(),
+            animalSystem: this.animalSystem?.getStats(),
+            weatherSystem: this.weatherSystem?.getStats(),
+            resourceSystem: this.resourceSystem?.getStats(),
             stateManager: this.stateManager?.getStats()
         };
     }
@@ -942,6 +1528,7 @@ class ChronoFarmer {
         // Destruir sistemas
         this.plantSystem?.destroy();
         this.timeTravelSystem?.destroy();
+        this.animalSystem?.destroy();
         this.saveSystem?.destroy();
         this.audioManager?.destroy();
         this.renderer?.destroy();
@@ -954,6 +1541,7 @@ class ChronoFarmer {
         window.audioManager = null;
         window.plantSystem = null;
         window.timeTravelSystem = null;
+        window.animalSystem = null;
         window.EventBus.clear();
 
         console.log('✅ ChronoFarmer: Juego destruido correctamente');
@@ -1021,11 +1609,29 @@ document.addEventListener('DOMContentLoaded', () => {
         showStats: () => window.chronoFarmer.showStats(),
         getState: () => window.stateManager?.getState(),
         exportSave: () => window.saveSystem?.exportSave(),
+        validateImport: (data) => window.saveSystem?.validateImport(data),
         importSave: (data) => window.saveSystem?.importSave(data),
+        dryRunMigration: (slotId) => window.saveSystem?.dryRunMigration(slotId),
+        getTransactions: (filter) => window.resourceSystem?.getTransactions(filter),
+        economySummary: () => window.resourceSystem?.getSessionSummary(),
+        setTimeSpeed: (speed) => window.timeSystem?.setTimeSpeed(speed),
+        checkHistoryOrder: () => {
+            // Padre e hijo escritos en la misma ventana de agrupado del historial
+            const scratch = new StateManager();
+            scratch.set('custom.a', { b: 9 });
+            scratch.set('custom.a.b', 1);
+            scratch.set('custom.a', { c: 5 });
+            scratch.undo();
+            scratch.redo();
+
+            const result = JSON.stringify(scratch.get('custom.a'));
+            const ok = result === '{"c":5}';
+            console.log(ok ? '✅ Historial: undo/redo conserva el orden' : `❌ Historial: se esperaba {"c":5} y se obtuvo ${result}`);
+            return ok;
+        },
         clearSave: () => {
             if (confirm('¿Estás seguro de que quieres borrar todos los datos guardados?')) {
-                window.saveSystem?.clearAllData();
-                location.reload();
+                window.saveSystem?.clearAllData().then(() => location.reload());
             }
         }
     };
@@ -8,6 +8,7 @@ class AchievementSystem {
         this.achievements = new Map();
         this.playerProgress = new Map();
         this.unlockedAchievements = new Set();
+        this.listenersReady = false;
         
         this.initializeAchievements();
         
@@ -16,12 +17,7 @@ class AchievementSystem {
     
     init() {
         // Cargar progreso del jugador
-        if (window.stateManager) {
-            const savedProgress = window.stateManager.get('player.achievements', []);
-            for (const achievementId of savedProgress) {
-                this.unlockedAchievements.add(achievementId);
-            }
-        }
+        this.restoreFromState();
         
         // Configurar listeners de eventos
         this.setupEventListeners();
@@ -29,6 +25,17 @@ class AchievementSystem {
         console.log('✅ AchievementSystem: Sistema listo');
     }
     
+    /**
+     * Restaura los logros desbloqueados de la partida en el estado
+     * (los contadores de progreso de la sesión pertenecen a la partida anterior)
+     */
+    restoreFromState() {
+        if (!window.stateManager) return;
+        
+        this.playerProgress.clear();
+        this.unlockedAchievements = new Set(window.stateManager.get('player.achievements', []));
+    }
+    
     /**
      * Inicializa los logros disponibles
      * @private
@@ -70,6 +77,33 @@ class AchievementSystem {
                 icon: '💰',
                 requirement: { type: 'resource', resource: 'temporal-pulses', amount: 1000 },
                 reward: { experience: 150, resources: { 'temporal-pulses': 200 } }
+            },
+            {
+                id: 'caretaker',
+                name: 'Cuidador Atento',
+                description: 'Alimenta a tus animales 10 veces',
+                category: 'animals',
+                icon: '🥕',
+                requirement: { type: 'feed', count: 10 },
+                reward: { experience: 50, resources: { 'plant-fiber': 10 } }
+            },
+            {
+                id: 'animal-whisperer',
+                name: 'Susurrador de Bestias',
+                description: 'Acaricia a tus animales 25 veces',
+                category: 'animals',
+                icon: '🤚',
+                requirement: { type: 'pet', count: 25 },
+                reward: { experience: 75, resources: { 'temporal-pulses': 50 } }
+            },
+            {
+                id: 'selective-breeder',
+                name: 'Criador Selectivo',
+                description: 'Consigue un animal de tercera generación',
+                category: 'animals',
+                icon: '💞',
+                requirement: { type: 'animal-generation', generation: 3 },
+                reward: { experience: 150, resources: { 'temporal-pulses': 100 } }
             }
         ];
         
@@ -83,7 +117,9 @@ class AchievementSystem {
      * @private
      */
     setupEventListeners() {
-        if (!window.EventBus) return;
+        // init() puede llamarse más de una vez: no duplicar contadores
+        if (!window.EventBus || this.listenersReady) return;
+        this.listenersReady = true;
         
         // Eventos de plantación
         window.EventBus.on('plant:planted', (data) => {
@@ -100,6 +136,21 @@ class AchievementSystem {
         window.EventBus.on('resources:changed', (data) => {
             this.checkResourceAchievements(data);
         });
+        
+        // Eventos de cuidado de animales
+        window.EventBus.on('animal:fed', () => {
+            this.updateProgress('feed', 1);
+        });
+        
+        window.EventBus.on('animal:petted', () => {
+            this.updateProgress('pet', 1);
+        });
+        
+        window.EventBus.on('animal:bred', (data) => {
+            const best = this.playerProgress.get('animal-generation') || 0;
+            this.playerProgress.set('animal-generation', Math.max(best, data.offspring.generation));
+            this.checkAchievements();
+        });
     }
     
     /**
@@ -137,7 +188,9 @@ class AchievementSystem {
         
         switch (req.type) {
             case 'plant':
-                return (this.playerProgress.get('plant') || 0) >= req.count;
+            case 'feed':
+            case 'pet':
+                return (this.playerProgress.get(req.type) || 0) >= req.count;
                 
             case 'resource':
                 if (!window.stateManager) return false;
@@ -147,6 +200,9 @@ class AchievementSystem {
             case 'visit-all-eras':
                 return this.checkAllErasVisited();
                 
+            case 'animal-generation':
+                return (this.playerProgress.get('animal-generation') || 0) >= req.generation;
+                
             default:
                 return false;
         }
@@ -170,13 +226,15 @@ class AchievementSystem {
      * @private
      */
     checkResourceAchievements(data) {
+        if (data.category !== 'resources') return;
+        
         // Verificar logros de recursos específicos
         for (const [id, achievement] of this.achievements) {
             if (this.unlockedAchievements.has(id)) continue;
             
             const req = achievement.requirement;
-            if (req.type === 'resource' && data[req.resource]) {
-                if (data[req.resource] >= req.amount) {
+            if (req.type === 'resource' && data.balances[req.resource] !== undefined) {
+                if (data.balances[req.resource] >= req.amount) {
                     this.unlockAchievement(id);
                 }
             }
@@ -250,20 +308,9 @@ class AchievementSystem {
             window.stateManager.set('player.experience', currentExp + reward.experience);
         }
         
-        // Aplicar recursos
-        if (reward.resources) {
-            for (const [resource, amount] of Object.entries(reward.resources)) {
-                const current = window.stateManager.get(`player.inventory.resources.${resource}`, 0);
-                window.stateManager.set(`player.inventory.resources.${resource}`, current + amount);
-            }
-        }
-        
-        // Aplicar semillas
-        if (reward.seeds) {
-            for (const [seed, count] of Object.entries(reward.seeds)) {
-                const current = window.stateManager.get(`player.inventory.seeds.${seed}`, 0);
-                window.stateManager.set(`player.inventory.seeds.${seed}`, current + count);
-            }
+        // Aplicar recursos y semillas
+        if (window.resourceSystem) {
+            window.resourceSystem.grantRewards(reward, 'achievement');
         }
     }
     
@@ -296,7 +343,9 @@ class AchievementSystem {
         
         switch (req.type) {
             case 'plant':
-                current = this.playerProgress.get('plant') || 0;
+            case 'feed':
+            case 'pet':
+                current = this.playerProgress.get(req.type) || 0;
                 target = req.count;
                 break;
                 
@@ -1,53 +1,665 @@
 /**
  * AnimalSystem - Sistema de animales
  * Responsabilidad: Manejar la crianza y producción de animales anacrónicos
+ *
+ * Los animales viven como instancias de `Animal` en memoria y se persisten
+ * serializados en `farm.animals`.
  */
 
 class AnimalSystem {
     constructor() {
+        // Referencias a otros sistemas
+        this.gameEngine = null;
+        this.eventBus = null;
+        this.stateManager = null;
+        this.renderer = null;
+        this.audioManager = null;
+        this.resourceSystem = null;
+        this.timeSystem = null;
+
+        // Animales activos (por ID)
         this.animals = new Map();
-        this.productionTimers = new Map();
-        
+
+        // Acumulador para las comprobaciones de producción
+        this.productionTimer = 0;
+
+        // Último mimo por animal (animalId -> timestamp)
+        this.petCooldowns = new Map();
+
+        // Auras de compañeros por plot (plotId -> { growth, resources })
+        this.auras = new Map();
+        this.auraSignature = '';
+        this.auraCellKey = ''; // Celdas de los compañeros en el último cálculo
+
         this.config = {
             maxAnimals: 10,
-            productionCheckInterval: 5000 // 5 segundos
+            productionCheckInterval: 5000, // 5 segundos
+            maxStoredProduction: 10, // Unidades acumuladas por animal antes de recolectar
+            petCooldown: 30000, // Un mimo cada 30 segundos por animal
+            sleepThreshold: 20, // Energía a partir de la cual el animal se echa a dormir
+            wakeThreshold: 80, // Energía con la que un animal agotado termina la siesta
+            nightProductionBonus: 1.5, // Los animales nocturnos producen más de noche
+            breedingCooldown: 300000, // 5 minutos entre crías por progenitor
+            minBreedingHappiness: 60, // Solo crían animales contentos
+            farmWidth: 800, // Espacio de coordenadas de los animales
+            farmHeight: 600,
+            gridColumns: 8, // Grid de la granja (ver Plot.createGrid)
+            gridRows: 6
         };
-        
+
+        // Bind de métodos
+        this.update = this.update.bind(this);
+        this.buyAnimal = this.buyAnimal.bind(this);
+        this.collectProduction = this.collectProduction.bind(this);
+        this.feedAnimal = this.feedAnimal.bind(this);
+        this.petAnimal = this.petAnimal.bind(this);
+        this.breedAnimals = this.breedAnimals.bind(this);
+
         console.log('🐾 AnimalSystem: Sistema de animales inicializado');
     }
-    
+
     init() {
+        // Obtener referencias a otros sistemas
+        if (this.gameEngine) {
+            this.eventBus = this.gameEngine.getSystem('eventBus') || window.EventBus;
+            this.stateManager = this.gameEngine.getSystem('stateManager') || window.stateManager;
+            this.renderer = this.gameEngine.getSystem('renderer') || window.renderer;
+            this.audioManager = this.gameEngine.getSystem('audioManager') || window.audioManager;
+            this.resourceSystem = this.gameEngine.getSystem('resourceSystem') || window.resourceSystem;
+            this.timeSystem = this.gameEngine.getSystem('timeSystem') || window.timeSystem;
+        }
+
+        // Cargar animales existentes del estado
+        this.loadAnimals();
+
         console.log('✅ AnimalSystem: Sistema listo');
     }
-    
+
+    /**
+     * Reconstruye los animales a partir de `farm.animals`
+     * (llamar también después de cargar una partida)
+     */
+    loadAnimals() {
+        if (!this.stateManager || !window.Animal) return;
+
+        this.animals.clear();
+
+        const saved = this.stateManager.get('farm.animals', []) || [];
+        for (const data of saved) {
+            const animal = Animal.deserialize(data);
+            this.animals.set(animal.id, animal);
+        }
+
+        this.updateAuras(true);
+        this.eventBus?.emit('animals:loaded', { count: this.animals.size });
+
+        console.log(`🐾 AnimalSystem: ${this.animals.size} animales cargados`);
+    }
+
+    /**
+     * Actualiza el sistema (llamado en el game loop)
+     * @param {number} deltaTime - Tiempo transcurrido en ms
+     */
     update(deltaTime) {
-        // Actualizar producción de animales
-        for (const [animalId, animal] of this.animals) {
-            this.updateAnimal(animal, deltaTime);
+        if (this.animals.size === 0) return;
+
+        // Tiempo de juego (respeta la velocidad de TimeSystem)
+        const gameDelta = this.timeSystem ? this.timeSystem.scaleDelta(deltaTime) : deltaTime;
+
+        // Movimiento en cada frame
+        for (const animal of this.animals.values()) {
+            if (animal.isAsleep) continue;
+            animal.updateMovement(gameDelta);
+
+            if (this.renderer) {
+                this.renderer.updateAnimalPosition(animal.id, animal.x, animal.y);
+            }
+        }
+
+        this.updateAuras();
+
+        // Producción en intervalos
+        this.productionTimer += gameDelta;
+        if (this.productionTimer < this.config.productionCheckInterval) return;
+
+        const elapsed = this.productionTimer;
+        this.productionTimer = 0;
+
+        for (const animal of this.animals.values()) {
+            this.updateAnimal(animal, elapsed);
         }
+
+        this.persistAnimals();
     }
-    
+
+    /**
+     * Avanza las necesidades y la producción de un animal
+     * @param {Animal} animal - Animal a actualizar
+     * @param {number} deltaTime - Tiempo transcurrido en ms
+     * @private
+     */
     updateAnimal(animal, deltaTime) {
-        // Lógica de actualización de animales
+        const wasNeglected = animal.isNeglected();
+
+        animal.updateNeeds(deltaTime);
+        animal.breedingCooldown = Math.max(0, animal.breedingCooldown - deltaTime);
+
+        // Los animales diurnos duermen de noche; uno agotado se echa una siesta
+        // que solo termina al recuperar energía (y, si es diurno, al hacerse de día)
+        const isNight = Boolean(this.timeSystem?.isNightTime());
+        const nocturnal = Boolean(animal.effects.nocturnal);
+        const bedtime = isNight && !nocturnal;
+
+        if (!animal.isAsleep) {
+            if (animal.energy <= this.config.sleepThreshold) {
+                animal.sleep('exhausted');
+            } else if (bedtime) {
+                animal.sleep('night');
+            }
+        } else {
+            const rested = animal.sleepReason !== 'exhausted' || animal.energy >= this.config.wakeThreshold;
+            if (rested && !bedtime) {
+                animal.wakeUp();
+            }
+        }
+
+        if (!animal.isAsleep && animal.storedProduction < this.config.maxStoredProduction) {
+            const nightBonus = isNight && nocturnal ? this.config.nightProductionBonus : 1;
+            animal.checkProduction(deltaTime * nightBonus);
+            animal.storedProduction = Math.min(animal.storedProduction, this.config.maxStoredProduction);
+        }
+
+        if (!wasNeglected && animal.isNeglected()) {
+            this.eventBus?.emit('animal:neglected', {
+                animalId: animal.id,
+                animal: animal.getInfo(),
+                timestamp: Date.now()
+            });
+        }
+
+        if (this.renderer) {
+            this.renderer.updateAnimal(animal.id, animal.getInfo());
+        }
+    }
+
+    /**
+     * Alimenta un animal con el primer alimento de su dieta que haya en inventario
+     * @param {string} animalId - ID del animal
+     * @returns {boolean} true si comió
+     */
+    feedAnimal(animalId) {
+        const animal = this.animals.get(animalId);
+        if (!animal) return false;
+
+        if (animal.effects.noHunger) {
+            this.eventBus?.emit('animal:error', { animalId, error: `${animal.name} no necesita comer` });
+            return false;
+        }
+
+        if (animal.hunger >= animal.config.maxHunger) {
+            this.eventBus?.emit('animal:error', { animalId, error: `${animal.name} no tiene hambre` });
+            return false;
+        }
+
+        const item = Object.keys(animal.diet).find(food => this.resourceSystem?.getResource(food) >= 1);
+        if (!item) {
+            this.eventBus?.emit('animal:error', { animalId, error: 'No tienes alimento para este animal' });
+            return false;
+        }
+
+        if (!this.resourceSystem.removeResource(item, 1, 'animal-feed')) return false;
+
+        animal.feed(animal.diet[item], item);
+        this.persistAnimals();
+
+        if (this.audioManager) {
+            this.audioManager.play('animal-fed');
+        }
+
+        if (this.renderer) {
+            this.renderer.updateAnimal(animalId, animal.getInfo());
+        }
+
+        console.log(`🐾 AnimalSystem: ${animal.name} comió ${item}`);
+        return true;
+    }
+
+    /**
+     * Acaricia un animal (con tiempo de espera por animal)
+     * @param {string} animalId - ID del animal
+     * @returns {boolean} true si se dejó acariciar
+     */
+    petAnimal(animalId) {
+        const animal = this.animals.get(animalId);
+        if (!animal) return false;
+
+        const now = Date.now();
+        const lastPetted = this.petCooldowns.get(animalId) || 0;
+        if (now - lastPetted < this.config.petCooldown) {
+            this.eventBus?.emit('animal:error', { animalId, error: `${animal.name} necesita un respiro` });
+            return false;
+        }
+
+        this.petCooldowns.set(animalId, now);
+        animal.pet();
+        this.persistAnimals();
+
+        if (this.audioManager) {
+            this.audioManager.play('animal-petted');
+        }
+
+        if (this.renderer) {
+            this.renderer.updateAnimal(animalId, animal.getInfo());
+        }
+
+        return true;
+    }
+
+    /**
+     * Cría dos animales del mismo tipo
+     * @param {string} parentAId - ID del primer progenitor
+     * @param {string} parentBId - ID del segundo progenitor
+     * @param {number} seed - Semilla para la herencia (determinista para tests)
+     * @returns {Animal|null} Cría o null si no se pudo criar
+     */
+    breedAnimals(parentAId, parentBId, seed = Date.now()) {
+        const error = this.getBreedingError(parentAId, parentBId);
+        if (error) {
+            this.eventBus?.emit('animal:error', { animalId: parentAId, error });
+            return null;
+        }
+
+        const parentA = this.animals.get(parentAId);
+        const parentB = this.animals.get(parentBId);
+
+        const offspring = this.addAnimal(parentA.type, {
+            x: (parentA.x + parentB.x) / 2,
+            y: (parentA.y + parentB.y) / 2
+        }, {
+            traits: Animal.inheritTraits(parentA.traits, parentB.traits, seed),
+            generation: Math.max(parentA.generation, parentB.generation) + 1,
+            parents: [parentA.id, parentB.id]
+        });
+
+        if (!offspring) return null;
+
+        parentA.breedingCooldown = this.config.breedingCooldown;
+        parentB.breedingCooldown = this.config.breedingCooldown;
+        this.persistAnimals();
+
+        this.eventBus?.emit('animal:bred', {
+            parents: [parentA.id, parentB.id],
+            offspringId: offspring.id,
+            offspring: offspring.getInfo(),
+            seed,
+            timestamp: Date.now()
+        });
+
+        console.log(`🐾 AnimalSystem: Nació ${offspring.name} (generación ${offspring.generation})`);
+        return offspring;
+    }
+
+    /**
+     * Explica por qué dos animales no pueden criar
+     * @param {string} parentAId - ID del primer progenitor
+     * @param {string} parentBId - ID del segundo progenitor
+     * @returns {string|null} Motivo o null si pueden criar
+     */
+    getBreedingError(parentAId, parentBId) {
+        const parentA = this.animals.get(parentAId);
+        const parentB = this.animals.get(parentBId);
+
+        if (!parentA || !parentB || parentAId === parentBId) return 'Selecciona dos animales distintos';
+        if (parentA.type !== parentB.type) return 'Solo pueden criar animales de la misma especie';
+        if (this.isFull()) return 'Granja llena';
+
+        for (const parent of [parentA, parentB]) {
+            if (parent.breedingCooldown > 0) {
+                return `${parent.name} necesita descansar ${Math.ceil(parent.breedingCooldown / 1000)}s más`;
+            }
+            if (parent.happiness < this.config.minBreedingHappiness) {
+                return `${parent.name} no está lo bastante contento para criar`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Compra un animal pagando su costo con ResourceSystem
+     * @param {string} animalType - ID del animal en animalData
+     * @param {Object} position - Posición opcional { x, y }
+     * @returns {Animal|null} Animal creado o null si no se pudo comprar
+     */
+    buyAnimal(animalType, position) {
+        const animalData = this.getAnimalData(animalType);
+        if (!animalData) {
+            console.error(`❌ AnimalSystem: Datos de animal no encontrados para ${animalType}`);
+            return null;
+        }
+
+        if (this.isFull()) {
+            console.warn('⚠️ AnimalSystem: Capacidad máxima de animales alcanzada');
+            this.eventBus?.emit('animal:error', { animalType, error: 'Granja llena' });
+            return null;
+        }
+
+        if (!this.resourceSystem || !this.resourceSystem.processPayment(animalData.cost || {}, 'animal-purchase')) {
+            console.warn(`⚠️ AnimalSystem: Recursos insuficientes para ${animalType}`);
+            this.eventBus?.emit('animal:error', { animalType, error: 'Recursos insuficientes' });
+            return null;
+        }
+
+        return this.addAnimal(animalType, position);
     }
-    
-    addAnimal(animalType, position) {
-        // Implementar agregar animal
+
+    /**
+     * Agrega un animal a la granja (sin cobrar)
+     * @param {string} animalType - ID del animal en animalData
+     * @param {Object} position - Posición opcional { x, y }
+     * @param {Object} genetics - Genética opcional { traits, generation, parents }
+     * @returns {Animal|null} Animal creado
+     */
+    addAnimal(animalType, position, genetics = {}) {
+        const animalData = this.getAnimalData(animalType);
+        if (!animalData || this.isFull()) return null;
+
+        const animal = new Animal({
+            type: animalData.id,
+            name: animalData.name,
+            emoji: animalData.emoji,
+            era: animalData.era,
+            x: position?.x ?? Math.random() * this.config.farmWidth,
+            y: position?.y ?? Math.random() * this.config.farmHeight,
+            happiness: animalData.stats?.happiness,
+            hunger: animalData.stats?.hunger,
+            energy: animalData.stats?.energy,
+            production: animalData.production || null,
+            effects: animalData.effects,
+            diet: animalData.diet,
+            movementPattern: animalData.movement?.pattern,
+            movementSpeed: animalData.movement?.speed,
+            traits: genetics.traits,
+            generation: genetics.generation,
+            parents: genetics.parents
+        });
+
+        this.animals.set(animal.id, animal);
+        this.persistAnimals();
+        this.updateAuras(true);
+
+        this.eventBus?.emit('animal:added', {
+            animalId: animal.id,
+            animal: animal.getInfo(),
+            timestamp: Date.now()
+        });
+
+        if (this.audioManager) {
+            this.audioManager.play('animal-added');
+        }
+
+        console.log(`🐾 AnimalSystem: ${animal.name} agregado a la granja`);
+        return animal;
     }
-    
+
+    /**
+     * Quita un animal de la granja
+     * @param {string} animalId - ID del animal
+     * @returns {boolean} true si se quitó
+     */
     removeAnimal(animalId) {
-        // Implementar remover animal
+        const animal = this.animals.get(animalId);
+        if (!animal) {
+            console.warn(`⚠️ AnimalSystem: Animal ${animalId} no encontrado`);
+            return false;
+        }
+
+        this.animals.delete(animalId);
+        this.petCooldowns.delete(animalId);
+        this.persistAnimals();
+        this.updateAuras(true);
+
+        this.eventBus?.emit('animal:removed', {
+            animalId,
+            animal: animal.getInfo(),
+            timestamp: Date.now()
+        });
+
+        console.log(`🐾 AnimalSystem: ${animal.name} retirado de la granja`);
+        return true;
     }
-    
+
+    /**
+     * Recolecta la producción acumulada de un animal
+     * @param {string} animalId - ID del animal
+     * @returns {number} Cantidad recolectada
+     */
     collectProduction(animalId) {
-        // Implementar recolección de producción
+        const animal = this.animals.get(animalId);
+        if (!animal || !animal.production) return 0;
+
+        const amount = Math.floor(animal.storedProduction);
+        if (amount <= 0) return 0;
+
+        const item = animal.production.item;
+        if (!this.resourceSystem || !this.resourceSystem.addResource(item, amount, 'animal')) {
+            return 0;
+        }
+
+        animal.storedProduction -= amount;
+        this.persistAnimals();
+
+        this.eventBus?.emit('animal:collected', {
+            animalId,
+            item,
+            amount,
+            timestamp: Date.now()
+        });
+
+        if (this.audioManager) {
+            this.audioManager.play('collect-production');
+        }
+
+        if (this.renderer) {
+            this.renderer.updateAnimal(animalId, animal.getInfo());
+        }
+
+        console.log(`🐾 AnimalSystem: Recolectado ${amount} ${item} de ${animal.name}`);
+        return amount;
     }
-    
+
+    /**
+     * Recalcula las auras de los compañeros y notifica si cambiaron
+     * @param {boolean} force - Recalcular aunque ningún compañero haya cambiado de celda
+     * @private
+     */
+    updateAuras(force = false) {
+        const companions = [];
+        for (const animal of this.animals.values()) {
+            const effect = this.getAnimalData(animal.type)?.effect;
+            if (effect) {
+                companions.push({ animal, effect, cell: this.getAnimalCell(animal) });
+            }
+        }
+
+        // Los animales se mueven cada frame: solo recalcular al cambiar de celda
+        const cellKey = companions.map(c => `${c.animal.id}:${c.cell.x},${c.cell.y}`).join('|');
+        if (!force && cellKey === this.auraCellKey) return;
+        this.auraCellKey = cellKey;
+
+        const auras = new Map();
+        const plots = this.stateManager?.get('farm.plots', []) || [];
+
+        // Mejor efecto por tipo de animal y plot (los del mismo tipo no se acumulan)
+        const bestByType = new Map();
+
+        for (const { animal, effect, cell } of companions) {
+            for (const plot of plots) {
+                if (!effect.global && !this.isWithinRadius(cell, this.getPlotCell(plot), effect.radius || 0)) continue;
+
+                const key = `${plot.id}|${animal.type}`;
+                if ((bestByType.get(key)?.value || 0) < effect.value) {
+                    bestByType.set(key, { plotId: plot.id, effect });
+                }
+            }
+        }
+
+        for (const { plotId, effect } of bestByType.values()) {
+            const aura = auras.get(plotId) || { growth: 1, resources: {} };
+
+            switch (effect.type) {
+                case 'growth-boost':
+                case 'growth-acceleration':
+                    aura.growth *= effect.value;
+                    break;
+                case 'resource-boost':
+                    aura.resources[effect.target] = (aura.resources[effect.target] || 1) * effect.value;
+                    break;
+            }
+
+            auras.set(plotId, aura);
+        }
+
+        this.auras = auras;
+
+        // Notificar solo si cambió el conjunto de plots afectados o sus valores
+        const signature = JSON.stringify(Array.from(auras));
+        if (signature === this.auraSignature) return;
+        this.auraSignature = signature;
+
+        this.eventBus?.emit('animal:auras-changed', { plots: this.getAuras() });
+    }
+
+    /**
+     * Obtiene las auras activas por plot
+     * @returns {Array} Lista de { plotId, growth, resources }
+     */
+    getAuras() {
+        return Array.from(this.auras, ([plotId, aura]) => ({ plotId, ...aura }));
+    }
+
+    /**
+     * Multiplicador de crecimiento que reciben las plantas de un plot
+     * @param {Object} plot - Plot de la granja
+     * @returns {number} Multiplicador (1 si no hay auras)
+     */
+    getGrowthMultiplier(plot) {
+        return this.auras.get(plot?.id)?.growth || 1;
+    }
+
+    /**
+     * Multiplicador de un recurso cosechado en un plot
+     * @param {Object} plot - Plot de la granja
+     * @param {string} resource - ID del recurso
+     * @returns {number} Multiplicador (1 si no hay auras)
+     */
+    getResourceMultiplier(plot, resource) {
+        return this.auras.get(plot?.id)?.resources[resource] || 1;
+    }
+
+    /**
+     * Celda del grid en la que está un animal
+     * @private
+     */
+    getAnimalCell(animal) {
+        const cellWidth = this.config.farmWidth / this.config.gridColumns;
+        const cellHeight = this.config.farmHeight / this.config.gridRows;
+
+        return {
+            x: Math.min(this.config.gridColumns - 1, Math.max(0, Math.floor(animal.x / cellWidth))),
+            y: Math.min(this.config.gridRows - 1, Math.max(0, Math.floor(animal.y / cellHeight)))
+        };
+    }
+
+    /**
+     * Celda del grid de un plot
+     * @private
+     */
+    getPlotCell(plot) {
+        return { x: plot.col, y: plot.row };
+    }
+
+    /**
+     * Comprueba si dos celdas están dentro de un radio (incluye diagonales)
+     * @private
+     */
+    isWithinRadius(a, b, radius) {
+        return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y)) <= radius;
+    }
+
+    /**
+     * Obtiene un animal por ID
+     * @param {string} animalId - ID del animal
+     * @returns {Animal|null}
+     */
+    getAnimal(animalId) {
+        return this.animals.get(animalId) || null;
+    }
+
+    /**
+     * Obtiene la información de todos los animales
+     * @returns {Array} Lista de animales (getInfo)
+     */
+    getAnimals() {
+        return Array.from(this.animals.values(), animal => animal.getInfo());
+    }
+
+    /**
+     * Indica si se alcanzó la capacidad máxima
+     * @returns {boolean}
+     */
+    isFull() {
+        return this.animals.size >= this.config.maxAnimals;
+    }
+
+    /**
+     * Guarda los animales serializados en el estado
+     * @returns {boolean} false si el estado rechazó los animales
+     * @private
+     */
+    persistAnimals() {
+        if (!this.stateManager) return false;
+
+        const serialized = Array.from(this.animals.values(), animal => animal.serialize());
+        const saved = this.stateManager.set('farm.animals', serialized);
+        if (!saved) {
+            console.error('❌ AnimalSystem: El estado rechazó los animales, no se guardarán hasta corregirlo');
+        }
+
+        return saved;
+    }
+
+    /**
+     * Obtiene los datos de un animal
+     * @private
+     */
+    getAnimalData(animalType) {
+        if (!window.animalData) return null;
+        return window.animalData[animalType] || null;
+    }
+
+    /**
+     * Obtiene estadísticas del sistema
+     * @returns {Object} Estadísticas
+     */
+    getStats() {
+        return {
+            animals: this.animals.size,
+            maxAnimals: this.config.maxAnimals,
+            storedProduction: Array.from(this.animals.values())
+                .reduce((total, animal) => total + animal.storedProduction, 0),
+            plotsWithAura: this.auras.size,
+            neglected: Array.from(this.animals.values()).filter(animal => animal.isNeglected()).length,
+            maxGeneration: Math.max(0, ...Array.from(this.animals.values(), animal => animal.generation))
+        };
+    }
+
     destroy() {
         this.animals.clear();
-        this.productionTimers.clear();
+        this.auras.clear();
+        this.petCooldowns.clear();
         console.log('🗑️ AnimalSystem: Sistema de animales destruido');
     }
 }
 
-window.AnimalSystem = AnimalSystem;
\ No newline at end of file
+window.AnimalSystem = AnimalSystem;
@@ -1,6 +1,16 @@
 /**
  * PlantSystem - Sistema de gestión de plantas
  * Responsabilidad: Manejar todo lo relacionado con el cultivo, crecimiento y cosecha de plantas
+ *
+ * La granja se modela con los componentes Plot y Plant: el sistema mantiene una
+ * instancia de Plot por celda (deserializada de `farm.plots`), les pasa el tiempo de
+ * juego de TimeSystem junto con las condiciones externas (clima, estación, auras, era)
+ * y vuelve a guardar los plots serializados en el estado tras cada cambio.
+ *
+ * Las reglas de cada celda viven en los componentes:
+ * - Plot: agua y nutrientes del suelo, abono, tipo y calidad del suelo, rotación
+ * - Plant: progreso de crecimiento, estrés (window.plantStressEffects), marchitado
+ *   y efectos especiales de la planta (sunBlessing, waterBlessing, nocturnal...)
  */
 
 class PlantSystem {
@@ -11,16 +21,30 @@ class PlantSystem {
         this.stateManager = null;
         this.renderer = null;
         this.audioManager = null;
+        this.resourceSystem = null;
+        this.animalSystem = null;
+        this.weatherSystem = null;
+        this.timeSystem = null;
 
-        // Plantas activas (por plot ID)
-        this.activePlants = new Map();
+        // Plots de la granja (instancias de Plot por ID)
+        this.plots = new Map();
 
         // Configuración de crecimiento
         this.growthConfig = {
             updateInterval: 1000, // Actualizar cada segundo
-            waterDecayRate: 0.5, // Decaída de agua por segundo
-            nutrientDecayRate: 0.3, // Decaída de nutrientes por segundo
-            growthMultiplier: 1.0 // Multiplicador global de crecimiento
+            growthMultiplier: 1.0, // Multiplicador global de crecimiento
+            rainWaterRate: 2, // Agua por segundo que aporta la lluvia
+            stormDamageInterval: 10000, // damageRisk es la probabilidad de daño por cada intervalo
+            stormGrowthSetback: 0.15, // Fracción del tiempo de crecimiento que se pierde
+            stormNutrientLoss: 20, // Nutrientes que se pierden con el daño
+
+            // Efecto de la estación según `plantData.seasons`
+            // witherRisk multiplica el desgaste de agua y nutrientes
+            seasonModifiers: {
+                preferred: { growth: 1.25, yield: 1.25, witherRisk: 0.8 },
+                neutral: { growth: 1.0, yield: 1.0, witherRisk: 1.0 },
+                forbidden: { growth: 0.5, yield: 0.75, witherRisk: 2.0 }
+            }
         };
 
         // Timer de actualización
@@ -40,6 +64,7 @@ class PlantSystem {
         this.plantSeed = this.plantSeed.bind(this);
         this.harvestPlant = this.harvestPlant.bind(this);
         this.waterPlant = this.waterPlant.bind(this);
+        this.fertilizePlant = this.fertilizePlant.bind(this);
 
         console.log('🌱 PlantSystem: Sistema de plantas inicializado');
     }
@@ -54,6 +79,10 @@ class PlantSystem {
             this.stateManager = this.gameEngine.getSystem('stateManager') || window.stateManager;
             this.renderer = this.gameEngine.getSystem('renderer') || window.renderer;
             this.audioManager = this.gameEngine.getSystem('audioManager') || window.audioManager;
+            this.resourceSystem = this.gameEngine.getSystem('resourceSystem') || window.resourceSystem;
+            this.animalSystem = this.gameEngine.getSystem('animalSystem') || window.animalSystem;
+            this.weatherSystem = this.gameEngine.getSystem('weatherSystem') || window.weatherSystem;
+            this.timeSystem = this.gameEngine.getSystem('timeSystem') || window.timeSystem;
         }
 
         // Cargar plantas existentes del estado
@@ -66,29 +95,47 @@ class PlantSystem {
     }
 
     /**
-     * Carga las plantas existentes del estado
-     * @private
+     * Carga los plots (y sus plantas) del estado como componentes
+     * Los plots de partidas anteriores se convierten al formato de Plot.serialize()
+     * y reciben un tipo de suelo si no lo tenían.
      */
     loadExistingPlants() {
         if (!this.stateManager) return;
 
         const plots = this.stateManager.get('farm.plots', []);
+        this.plots.clear();
 
-        for (const plot of plots) {
-            if (plot.plant && plot.state !== 'empty') {
-                this.activePlants.set(plot.id, {
-                    ...plot.plant,
-                    plotId: plot.id,
-                    plantedAt: plot.plantedAt,
-                    lastWatered: plot.lastWatered,
-                    growthStage: plot.growthStage,
-                    waterLevel: plot.waterLevel,
-                    nutrients: plot.nutrients
-                });
-            }
+        for (const data of plots) {
+            this.plots.set(data.id, Plot.deserialize(data));
+        }
+
+        this.persistPlots();
+
+        console.log(`🌱 PlantSystem: ${this.getLivingPlots().length} plantas cargadas`);
+    }
+
+    /**
+     * Guarda los plots serializados en el estado (mismo orden que el grid)
+     * @returns {boolean} false si el estado rechazó los plots
+     * @private
+     */
+    persistPlots() {
+        if (!this.stateManager) return false;
+
+        const saved = this.stateManager.set('farm.plots', Array.from(this.plots.values(), plot => plot.serialize()));
+        if (!saved) {
+            console.error('❌ PlantSystem: El estado rechazó los plots, la granja no se guardará hasta corregirlo');
         }
 
-        console.log(`🌱 PlantSystem: ${this.activePlants.size} plantas cargadas`);
+        return saved;
+    }
+
+    /**
+     * Plots con una planta viva (sembrada, creciendo o lista)
+     * @private
+     */
+    getLivingPlots() {
+        return Array.from(this.plots.values()).filter(plot => plot.hasPlant() && plot.state !== 'withered');
     }
 
     /**
@@ -108,6 +155,11 @@ class PlantSystem {
             this.waterPlant(plotId);
         });
 
+        // Eventos de abonado
+        this.eventBus.on('plant:fertilize', (plotId, fertilizerType) => {
+            this.fertilizePlant(plotId, fertilizerType);
+        });
+
         // Eventos de cosecha
         this.eventBus.on('plant:harvest', (plotId) => {
             this.harvestPlant(plotId);
@@ -134,20 +186,12 @@ class PlantSystem {
 
         // Verificar que el plot existe y está vacío
         const plot = this.getPlot(plotId);
-        if (!plot || plot.state !== 'empty') {
+        if (!plot || !plot.isEmpty()) {
             console.warn(`⚠️ PlantSystem: Plot ${plotId} no está vacío`);
             this.eventBus.emit('plant:error', { plotId, error: 'Plot ocupado' });
             return false;
         }
 
-        // Verificar que el jugador tiene la semilla
-        const seedCount = this.stateManager.get(`player.inventory.seeds.${seedType}`, 0);
-        if (seedCount <= 0) {
-            console.warn(`⚠️ PlantSystem: No hay semillas de tipo ${seedType}`);
-            this.eventBus.emit('plant:error', { plotId, error: 'Sin semillas' });
-            return false;
-        }
-
         // Obtener datos de la planta
         const plantData = this.getPlantData(seedType);
         if (!plantData) {
@@ -155,52 +199,22 @@ class PlantSystem {
             return false;
         }
 
-        // Crear planta
-        const plant = {
-            type: seedType,
-            name: plantData.name,
-            emoji: plantData.emoji,
-            era: plantData.era,
-            growTime: plantData.growTime,
-            maxStages: plantData.stages,
-            harvestYield: plantData.harvestYield || { seeds: 1, resources: {} }
-        };
-
-        // Actualizar estado del plot
-        const now = Date.now();
-        const updates = {
-            plant: plant,
-            state: 'planted',
-            plantedAt: now,
-            lastWatered: now,
-            growthStage: 0,
-            maxGrowthStage: plantData.stages,
-            waterLevel: 100,
-            nutrients: 80
-        };
-
-        // Aplicar actualizaciones
-        this.updatePlot(plotId, updates);
-
-        // Agregar a plantas activas
-        this.activePlants.set(plotId, {
-            ...plant,
-            plotId,
-            plantedAt: now,
-            lastWatered: now,
-            growthStage: 0,
-            waterLevel: 100,
-            nutrients: 80
-        });
+        // Consumir semilla (falla si el jugador no tiene)
+        if (!this.resourceSystem || !this.resourceSystem.consumeSeeds(seedType, 1, 'planting')) {
+            console.warn(`⚠️ PlantSystem: No hay semillas de tipo ${seedType}`);
+            this.eventBus.emit('plant:error', { plotId, error: 'Sin semillas' });
+            return false;
+        }
 
-        // Consumir semilla
-        this.stateManager.set(`player.inventory.seeds.${seedType}`, seedCount - 1);
+        // Crear planta en el plot
+        plot.plantSeed(plantData);
+        this.persistPlots();
 
         // Notificar evento
         this.eventBus.emit('plant:planted', {
             plotId,
-            plant: plant,
-            timestamp: now
+            plant: plot.plant,
+            timestamp: Date.now()
         });
 
         // Reproducir sonido
@@ -210,7 +224,7 @@ class PlantSystem {
 
         // Actualizar UI
         if (this.renderer) {
-            this.renderer.updatePlot(plotId, updates);
+            this.renderer.updatePlot(plotId, { state: plot.state, plant: plot.plant, stress: {} });
         }
 
         console.log(`🌱 PlantSystem: Semilla ${seedType} plantada en plot ${plotId}`);
@@ -225,31 +239,24 @@ class PlantSystem {
         if (!this.stateManager || !this.eventBus) return false;
 
         const plot = this.getPlot(plotId);
-        if (!plot || !plot.plant || plot.state === 'empty') {
+        if (!plot || !plot.hasPlant()) {
             console.warn(`⚠️ PlantSystem: No hay planta en plot ${plotId}`);
             return false;
         }
 
-        // Actualizar nivel de agua
-        const newWaterLevel = Math.min(100, (plot.waterLevel || 0) + 30);
-        const updates = {
-            waterLevel: newWaterLevel,
-            lastWatered: Date.now()
-        };
-
-        this.updatePlot(plotId, updates);
-
-        // Actualizar planta activa
-        const activePlant = this.activePlants.get(plotId);
-        if (activePlant) {
-            activePlant.waterLevel = newWaterLevel;
-            activePlant.lastWatered = Date.now();
+        if (plot.state === 'withered') {
+            this.eventBus.emit('plant:error', { plotId, error: 'Planta marchita' });
+            return false;
         }
 
+        // Actualizar nivel de agua
+        const waterLevel = plot.water(30);
+        this.persistPlots();
+
         // Notificar evento
         this.eventBus.emit('plant:watered', {
             plotId,
-            waterLevel: newWaterLevel,
+            waterLevel,
             timestamp: Date.now()
         });
 
@@ -260,13 +267,74 @@ class PlantSystem {
 
         // Actualizar UI
         if (this.renderer) {
-            this.renderer.updatePlot(plotId, updates);
+            this.renderer.updatePlot(plotId, { stress: plot.plant.stress });
         }
 
         console.log(`💧 PlantSystem: Planta en plot ${plotId} regada`);
         return true;
     }
 
+    /**
+     * Abona una planta con un abono del inventario
+     * Aporta los nutrientes inmediatos del abono y deja en el suelo su reserva de
+     * liberación lenta (sustituye a la de un abono anterior).
+     * @param {number} plotId - ID del plot
+     * @param {string} fertilizerType - Tipo de abono (ver window.fertilizerData)
+     */
+    fertilizePlant(plotId, fertilizerType) {
+        if (!this.stateManager || !this.eventBus) return false;
+
+        const plot = this.getPlot(plotId);
+        if (!plot || !plot.hasPlant()) {
+            console.warn(`⚠️ PlantSystem: No hay planta en plot ${plotId}`);
+            return false;
+        }
+
+        if (plot.state === 'withered') {
+            this.eventBus.emit('plant:error', { plotId, error: 'Planta marchita' });
+            return false;
+        }
+
+        const fertilizer = window.getFertilizerData?.(fertilizerType);
+        if (!fertilizer) {
+            console.error(`❌ PlantSystem: Datos de abono no encontrados para ${fertilizerType}`);
+            return false;
+        }
+
+        // Consumir abono (falla si el jugador no tiene)
+        if (!this.resourceSystem || !this.resourceSystem.consumeFertilizer(fertilizerType, 1, 'fertilizing')) {
+            console.warn(`⚠️ PlantSystem: No hay abono de tipo ${fertilizerType}`);
+            this.eventBus.emit('plant:error', { plotId, error: 'Sin abono' });
+            return false;
+        }
+
+        const { instant, release, duration } = fertilizer.nutrients;
+        const reserve = release > 0 ? { type: fertilizerType, remaining: release, rate: release / duration } : null;
+        const nutrients = plot.fertilize(instant, reserve);
+        this.persistPlots();
+
+        // Notificar evento
+        this.eventBus.emit('plant:fertilized', {
+            plotId,
+            fertilizer: fertilizerType,
+            nutrients,
+            timestamp: Date.now()
+        });
+
+        // Reproducir sonido
+        if (this.audioManager) {
+            this.audioManager.play('plant-seed');
+        }
+
+        // Actualizar UI
+        if (this.renderer) {
+            this.renderer.updatePlot(plotId, { stress: plot.plant.stress });
+        }
+
+        console.log(`🧪 PlantSystem: Planta en plot ${plotId} abonada con ${fertilizerType}`);
+        return true;
+    }
+
     /**
      * Cosecha una planta
      * @param {number} plotId - ID del plot
@@ -275,35 +343,19 @@ class PlantSystem {
         if (!this.stateManager || !this.eventBus) return false;
 
         const plot = this.getPlot(plotId);
-        if (!plot || !plot.plant || plot.state !== 'ready') {
+        if (!plot || !plot.canHarvest()) {
             console.warn(`⚠️ PlantSystem: Planta en plot ${plotId} no está lista para cosecha`);
             this.eventBus.emit('plant:error', { plotId, error: 'Planta no lista' });
             return false;
         }
 
-        // Calcular recompensas
+        // Cosechar (el plot aplica estrés, calidad del suelo y rotación)
         const plant = plot.plant;
-        const rewards = this.calculateHarvestRewards(plant);
+        const rewards = this.calculateHarvestRewards(plant, plot, plot.harvest());
 
         // Aplicar recompensas
-        this.applyHarvestRewards(rewards);
-
-        // Limpiar plot
-        const updates = {
-            plant: null,
-            state: 'empty',
-            plantedAt: null,
-            lastWatered: null,
-            growthStage: 0,
-            maxGrowthStage: 0,
-            waterLevel: 50,
-            nutrients: 50
-        };
-
-        this.updatePlot(plotId, updates);
-
-        // Remover de plantas activas
-        this.activePlants.delete(plotId);
+        this.applyHarvestRewards(plant, rewards);
+        this.persistPlots();
 
         // Notificar evento
         this.eventBus.emit('plant:harvested', {
@@ -320,7 +372,7 @@ class PlantSystem {
 
         // Actualizar UI
         if (this.renderer) {
-            this.renderer.updatePlot(plotId, updates);
+            this.renderer.updatePlot(plotId, { state: plot.state, plant: null, stress: {}, soilQuality: plot.soilQuality });
         }
 
         // Mostrar notificación
@@ -335,132 +387,186 @@ class PlantSystem {
         return true;
     }
 
+    /**
+     * Retira un cultivo marchito y deja el plot vacío
+     * @param {number} plotId - ID del plot
+     * @returns {boolean} true si había un cultivo marchito que limpiar
+     */
+    clearWitheredPlant(plotId) {
+        if (!this.stateManager || !this.eventBus) return false;
+
+        const plot = this.plots.get(plotId);
+        const plant = plot?.clear();
+        if (!plant) return false;
+
+        this.persistPlots();
+
+        this.eventBus.emit('plant:cleared', {
+            plotId,
+            plant: plant,
+            timestamp: Date.now()
+        });
+
+        if (this.renderer) {
+            this.renderer.updatePlot(plotId, { state: plot.state, plant: null, stress: {} });
+        }
+
+        console.log(`🧹 PlantSystem: Cultivo marchito retirado del plot ${plotId}`);
+        return true;
+    }
+
     /**
      * Actualiza el sistema (llamado en el game loop)
      * @param {number} deltaTime - Tiempo transcurrido en ms
      */
     update(deltaTime) {
-        this.updateTimer += deltaTime;
+        // Tiempo de juego (respeta la velocidad de TimeSystem)
+        this.updateTimer += this.timeSystem ? this.timeSystem.scaleDelta(deltaTime) : deltaTime;
 
         // Actualizar cada segundo
         if (this.updateTimer >= this.growthConfig.updateInterval) {
-            this.updatePlants();
+            this.updatePlants(this.updateTimer);
             this.updateTimer = 0;
         }
     }
 
     /**
      * Actualiza todas las plantas
+     * @param {number} elapsed - Tiempo de juego desde la última actualización en ms
      * @private
      */
-    updatePlants() {
+    updatePlants(elapsed = this.growthConfig.updateInterval) {
         const now = Date.now();
+        const weather = this.getWeatherEffects();
+
+        // Velocidad del tiempo para las plantas: tormentas temporales lo aceleran,
+        // las paradojas lo congelan
+        const timeScale = weather.frozenTime ? 0 : (weather.timeWarp || 1);
+        const plantElapsed = elapsed * timeScale;
 
-        for (const [plotId, plant] of this.activePlants) {
-            const plot = this.getPlot(plotId);
-            if (!plot) continue;
+        const livingPlots = this.getLivingPlots();
 
-            let needsUpdate = false;
-            const updates = {};
+        for (const plot of livingPlots) {
+            const plant = plot.plant;
+            const previousState = plot.state;
 
-            // Decaída de agua
-            if (this.config.enableWatering && plot.waterLevel > 0) {
-                const timeSinceWatered = now - (plot.lastWatered || now);
-                const waterDecay = (timeSinceWatered / 1000) * this.growthConfig.waterDecayRate;
-                const newWaterLevel = Math.max(0, plot.waterLevel - waterDecay);
+            // El plot gestiona el suelo y hace crecer (o marchitar) a su planta
+            const result = plot.update(plantElapsed, this.getGrowthConditions(plot, weather, elapsed));
+
+            if (result.withered) {
+                console.log(`🥀 PlantSystem: ${plant.name} se ha marchitado en plot ${plot.id}`);
+            }
 
-                if (Math.abs(newWaterLevel - plot.waterLevel) > 0.1) {
-                    updates.waterLevel = newWaterLevel;
-                    plant.waterLevel = newWaterLevel;
-                    needsUpdate = true;
-                }
+            // Notificar crecimiento
+            if (result.stageChanged && this.eventBus) {
+                this.eventBus.emit('plant:growth', {
+                    plotId: plot.id,
+                    plant: plant,
+                    newStage: plant.growthStage,
+                    timestamp: now
+                });
             }
 
-            // Decaída de nutrientes
-            if (this.config.enableNutrients && plot.nutrients > 0) {
-                const timeSincePlanted = now - (plot.plantedAt || now);
-                const nutrientDecay = (timeSincePlanted / 1000) * this.growthConfig.nutrientDecayRate;
-                const newNutrients = Math.max(0, plot.nutrients - nutrientDecay);
-
-                if (Math.abs(newNutrients - plot.nutrients) > 0.1) {
-                    updates.nutrients = newNutrients;
-                    plant.nutrients = newNutrients;
-                    needsUpdate = true;
-                }
+            // Notificar que está lista
+            if (result.becameReady && this.eventBus) {
+                this.eventBus.emit('plant:ready', {
+                    plotId: plot.id,
+                    plant: plant,
+                    timestamp: now
+                });
             }
 
-            // Crecimiento
-            if (plot.state === 'planted' || plot.state === 'growing') {
-                const growthResult = this.calculateGrowth(plot, plant, now);
-
-                if (growthResult.stageChanged) {
-                    updates.growthStage = growthResult.newStage;
-                    plant.growthStage = growthResult.newStage;
-                    needsUpdate = true;
-
-                    // Notificar crecimiento
-                    if (this.eventBus) {
-                        this.eventBus.emit('plant:growth', {
-                            plotId,
-                            plant: plant,
-                            newStage: growthResult.newStage,
-                            timestamp: now
-                        });
-                    }
-                }
-
-                // Verificar si está lista para cosecha
-                if (growthResult.isReady && plot.state !== 'ready') {
-                    updates.state = 'ready';
-                    needsUpdate = true;
-
-                    // Notificar que está lista
-                    if (this.eventBus) {
-                        this.eventBus.emit('plant:ready', {
-                            plotId,
-                            plant: plant,
-                            timestamp: now
-                        });
-                    }
-                }
+            // Daños por tormenta
+            if (!result.withered && weather.damageRisk && Math.random() < weather.damageRisk * (elapsed / this.growthConfig.stormDamageInterval)) {
+                this.damagePlant(plot, 'storm', now);
             }
 
-            // Aplicar actualizaciones si es necesario
-            if (needsUpdate) {
-                this.updatePlot(plotId, updates);
+            // Actualizar UI
+            if (this.renderer) {
+                const updates = { stress: plant.stress };
+                if (plot.state !== previousState) updates.state = plot.state;
 
-                // Actualizar UI
-                if (this.renderer) {
-                    this.renderer.updatePlot(plotId, updates);
-                }
+                this.renderer.updatePlot(plot.id, updates);
             }
         }
+
+        if (livingPlots.length > 0) {
+            this.persistPlots();
+        }
+    }
+
+    /**
+     * Condiciones externas que recibe un plot en cada actualización
+     * @param {Plot} plot - Plot con planta
+     * @param {Object} weather - Efectos del clima actual
+     * @param {number} elapsed - Tiempo de juego transcurrido en ms (sin timeWarp)
+     * @returns {Object} Condiciones para Plot.update
+     * @private
+     */
+    getGrowthConditions(plot, weather, elapsed) {
+        const seconds = elapsed / 1000;
+        const season = this.getSeasonModifiers(plot.plant.type);
+
+        // Auras de animales compañeros cercanos
+        const auraMultiplier = this.animalSystem?.getGrowthMultiplier(plot) || 1;
+
+        return {
+            // El agua se evapora (más rápido con sol) y la lluvia riega sola
+            waterDecay: this.config.enableWatering ? season.witherRisk / weather.waterRetention : 0,
+            waterGain: weather.autoWater ? seconds * this.growthConfig.rainWaterRate : 0,
+
+            // Algunos climas (ceniza, crecidas) reponen nutrientes
+            nutrientDecay: this.config.enableNutrients ? season.witherRisk : 0,
+            nutrientGain: seconds * (weather.nutrientRate || 0),
+
+            // Era, auras, clima y estación
+            growthMultiplier: this.growthConfig.growthMultiplier * auraMultiplier * weather.growth * season.growth
+        };
     }
 
     /**
-     * Calcula el crecimiento de una planta
+     * Aplica daño a una planta (retrasa su crecimiento y le quita nutrientes)
+     * @param {Plot} plot - Plot de la planta
+     * @param {string} cause - Causa del daño (storm...)
+     * @param {number} now - Timestamp actual
      * @private
      */
-    calculateGrowth(plot, plant, now) {
-        const plantData = this.getPlantData(plant.type);
-        const timeSincePlanted = now - plot.plantedAt;
+    damagePlant(plot, cause, now) {
+        plot.damage(this.growthConfig.stormNutrientLoss, this.growthConfig.stormGrowthSetback);
 
-        // Calcular factor de crecimiento basado en agua y nutrientes
-        const waterFactor = Math.max(0.1, (plot.waterLevel || 0) / 100);
-        const nutrientFactor = Math.max(0.1, (plot.nutrients || 0) / 100);
-        const environmentFactor = waterFactor * nutrientFactor;
+        if (this.eventBus) {
+            this.eventBus.emit('plant:damaged', {
+                plotId: plot.id,
+                plant: plot.plant,
+                cause,
+                timestamp: now
+            });
+        }
 
-        // Calcular etapa de crecimiento
-        const baseGrowTime = plantData.growTime;
-        const adjustedGrowTime = baseGrowTime / (environmentFactor * this.growthConfig.growthMultiplier);
-        const progress = Math.min(1, timeSincePlanted / adjustedGrowTime);
-        const newStage = Math.floor(progress * plant.maxStages);
+        console.log(`⛈️ PlantSystem: ${plot.plant.name} dañada en plot ${plot.id} (${cause})`);
+    }
 
+    /**
+     * Obtiene los modificadores de la estación actual para un tipo de planta
+     * @param {string} plantType - Tipo de planta
+     * @returns {Object} { growth, yield, witherRisk }
+     */
+    getSeasonModifiers(plantType) {
+        const season = this.timeSystem?.getCurrentSeason() || 'spring';
+        const affinity = window.getPlantSeasonAffinity?.(plantType, season) || 'neutral';
+
+        return this.growthConfig.seasonModifiers[affinity];
+    }
+
+    /**
+     * Obtiene los efectos del clima actual
+     * @private
+     */
+    getWeatherEffects() {
         return {
-            newStage: newStage,
-            stageChanged: newStage > (plot.growthStage || 0),
-            isReady: progress >= 1,
-            progress: progress
+            growth: 1,
+            waterRetention: 1,
+            ...this.weatherSystem?.getWeatherEffects()
         };
     }
 
@@ -468,60 +574,35 @@ class PlantSystem {
      * Acelera el crecimiento usando pulsos temporales
      * @param {number} plotId - ID del plot
      * @param {number} duration - Duración del pulso en ms
+     * @returns {number|null} Progreso en porcentaje o null si no hay planta
      */
     accelerateGrowth(plotId, duration) {
         const plot = this.getPlot(plotId);
+        const wasReady = plot?.state === 'ready';
 
-        // 1. Corregimos la validación: ahora verificamos plot.plant.type
-        if (!plot || !plot.plant) {
+        // La planta vive `duration` ms de golpe (Plant emite plant:accelerated)
+        const progress = plot?.accelerate(duration) ?? null;
+        if (progress === null) {
             console.warn(`⚠️ PlantSystem: No hay planta en plot ${plotId}`);
             return null;
         }
 
-        const now = Date.now();
-
-        // 2. CAMBIO CLAVE: Usamos .type en lugar de .id
-        const plantData = this.getPlantData(plot.plant.type);
-
-        if (!plantData) {
-            console.error(`❌ PlantSystem: Datos no encontrados para tipo: ${plot.plant.type}`);
-            return null;
-        }
-
-        // 3. Aplicar aceleración (viaje al pasado de la fecha de plantación)
-        const newPlantedAt = (plot.plantedAt || now) - duration;
-
-        // 4. Actualizar el Plot en el StateManager
-        this.updatePlot(plotId, {
-            plantedAt: newPlantedAt
-        });
+        this.persistPlots();
 
-        // 5. Sincronizar la planta activa en memoria
-        const activePlant = this.activePlants.get(plotId);
-        if (activePlant) {
-            activePlant.plantedAt = newPlantedAt;
-        }
-
-        // 6. Calcular el nuevo progreso para la respuesta
-        const elapsed = now - newPlantedAt;
-        const progress = Math.min(100, (elapsed / plantData.growTime) * 100);
-
-        // 7. Notificar a otros sistemas
-        if (this.eventBus) {
-            this.eventBus.emit('plant:accelerated', {
+        if (!wasReady && plot.state === 'ready' && this.eventBus) {
+            this.eventBus.emit('plant:ready', {
                 plotId,
-                progress,
-                duration,
-                timestamp: now
+                plant: plot.plant,
+                timestamp: Date.now()
             });
         }
 
-        if (this.audioManager) {
-            this.audioManager.play('temporal-pulse');
+        if (this.renderer) {
+            this.renderer.updatePlot(plotId, { state: plot.state });
         }
 
-        console.log(`⚡ Acelerado: ${plot.plant.name} al ${Math.round(progress)}%`);
-        return progress;
+        console.log(`⚡ Acelerado: ${plot.plant.name} al ${Math.round(progress * 100)}%`);
+        return progress * 100;
     }
 
     /**
@@ -542,46 +623,18 @@ class PlantSystem {
     }
 
     /**
-     * Obtiene un plot del estado buscando por su ID
-     * @private
+     * Obtiene el componente Plot de una celda
+     * @param {number|string} plotId - ID del plot
+     * @returns {Plot|undefined} Plot
      */
     getPlot(plotId) {
-        if (!this.stateManager) return null;
-        // Obtenemos el array de plots (en lugar de intentar acceder por punto)
-        const plots = this.stateManager.get('farm.plots', []);
-
-        // Buscamos el plot que tenga el ID que recibimos
-        const foundPlot = plots.find(p => p.id === plotId);
+        const plot = this.plots.get(plotId);
 
-        if (!foundPlot) {
+        if (!plot) {
             console.error(`❌ PlantSystem: No se encontró el plot con ID: ${plotId}`);
         }
 
-        return foundPlot;
-    }
-
-    /**
-     * Actualiza un plot en el estado
-     * @private
-     */
-    updatePlot(plotId, updates) {
-        if (!this.stateManager) return;
-
-        // 1. Obtenemos la lista actual
-        const plots = this.stateManager.get('farm.plots', []);
-        // 2. Buscamos el índice del plot que queremos actualizar
-        const index = plots.findIndex(p => p.id === plotId);
-
-        if (index !== -1) {
-            // 3. Aplicamos los cambios al objeto de ese índice
-            plots[index] = { ...plots[index], ...updates };
-
-            // 4. IMPORTANTE: Guardamos el array COMPLETO de nuevo
-            // Esto notificará a la UI que algo en "farm.plots" cambió
-            this.stateManager.set('farm.plots', plots);
-        } else {
-            console.error(`❌ PlantSystem: Imposible actualizar plot ${plotId}, no existe.`);
-        }
+        return plot;
     }
 
     /**
@@ -594,22 +647,25 @@ class PlantSystem {
     }
 
     /**
-     * Calcula las recompensas de cosecha
+     * Completa las recompensas del plot con variación aleatoria, auras y estación
+     * @param {Plant} plant - Planta cosechada
+     * @param {Plot} plot - Plot cosechado
+     * @param {Object} baseRewards - Recompensas de Plot.harvest()
      * @private
      */
-    calculateHarvestRewards(plant) {
-        const baseYield = plant.harvestYield;
-
+    calculateHarvestRewards(plant, plot, baseRewards) {
         // Calcular variaciones aleatorias
         const seedBonus = Math.floor(Math.random() * 2); // 0-1 semillas extra
         const resourceBonus = Math.random() * 0.5 + 0.75; // 75-125% de recursos
+        const seasonYield = this.getSeasonModifiers(plant.type).yield;
 
         return {
-            seeds: baseYield.seeds + seedBonus,
+            seeds: (baseRewards.seeds || 0) + seedBonus,
             resources: Object.fromEntries(
-                Object.entries(baseYield.resources || {}).map(
-                    ([resource, amount]) => [resource, Math.floor(amount * resourceBonus)]
-                )
+                Object.entries(baseRewards.resources || {}).map(([resource, amount]) => {
+                    const auraMultiplier = this.animalSystem?.getResourceMultiplier(plot, resource) || 1;
+                    return [resource, Math.floor(amount * resourceBonus * auraMultiplier * seasonYield)];
+                })
             )
         };
     }
@@ -618,20 +674,13 @@ class PlantSystem {
      * Aplica las recompensas de cosecha al jugador
      * @private
      */
-    applyHarvestRewards(rewards) {
-        if (!this.stateManager) return;
+    applyHarvestRewards(plant, rewards) {
+        if (!this.resourceSystem) return;
 
-        // Aplicar semillas
-        for (const [seedType, count] of Object.entries(rewards.seeds || {})) {
-            const currentCount = this.stateManager.get(`player.inventory.seeds.${seedType}`, 0);
-            this.stateManager.set(`player.inventory.seeds.${seedType}`, currentCount + count);
-        }
-
-        // Aplicar recursos
-        for (const [resource, amount] of Object.entries(rewards.resources || {})) {
-            const currentAmount = this.stateManager.get(`player.inventory.resources.${resource}`, 0);
-            this.stateManager.set(`player.inventory.resources.${resource}`, currentAmount + amount);
-        }
+        this.resourceSystem.grantRewards({
+            seeds: { [plant.type]: rewards.seeds },
+            resources: rewards.resources
+        }, 'harvest');
     }
 
     /**
@@ -640,7 +689,7 @@ class PlantSystem {
      */
     getStats() {
         return {
-            activePlants: this.activePlants.size,
+            activePlants: this.getLivingPlots().length,
             config: this.config,
             growthMultiplier: this.growthConfig.growthMultiplier
         };
@@ -662,7 +711,7 @@ class PlantSystem {
      * Destruye el sistema
      */
     destroy() {
-        this.activePlants.clear();
+        this.plots.clear();
         console.log('🗑️ PlantSystem: Sistema de plantas destruido');
     }
 }
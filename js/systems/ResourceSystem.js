@@ -1,51 +1,463 @@
 /**
  * ResourceSystem - Sistema de recursos
  * Responsabilidad: Manejar la economía del juego y los recursos del jugador
+ *
+ * Es el único punto de escritura del inventario (recursos, semillas y abonos): el resto
+ * de sistemas nunca debe modificar `player.inventory.*` directamente.
  */
 
 class ResourceSystem {
     constructor() {
-        this.resources = new Map();
+        // Referencias a otros sistemas
+        this.gameEngine = null;
+        this.eventBus = null;
+        this.stateManager = null;
+
+        // Producción automática (recurso -> { amount, source })
         this.productionRates = new Map();
-        
+        this.productionTimer = 0;
+
+        // Inicio de la sesión actual (para resúmenes de ingresos/gastos)
+        this.sessionStart = Date.now();
+
         this.config = {
-            autoProductionInterval: 10000 // 10 segundos
+            autoProductionInterval: 10000, // 10 segundos
+            maxLedgerEntries: 500, // Movimientos conservados en el historial
+            ledgerPath: 'player.ledger'
         };
-        
+
+        // Bind de métodos
+        this.addResource = this.addResource.bind(this);
+        this.removeResource = this.removeResource.bind(this);
+        this.processPayment = this.processPayment.bind(this);
+
         console.log('💰 ResourceSystem: Sistema de recursos inicializado');
     }
-    
+
     init() {
+        // Obtener referencias a otros sistemas
+        if (this.gameEngine) {
+            this.eventBus = this.gameEngine.getSystem('eventBus') || window.EventBus;
+            this.stateManager = this.gameEngine.getSystem('stateManager') || window.stateManager;
+        }
+
         console.log('✅ ResourceSystem: Sistema listo');
     }
-    
+
+    /**
+     * Actualiza la producción automática de recursos
+     * @param {number} deltaTime - Tiempo transcurrido en ms
+     */
     update(deltaTime) {
-        // Actualizar producción automática de recursos
+        if (this.productionRates.size === 0) return;
+
+        this.productionTimer += deltaTime;
+        if (this.productionTimer < this.config.autoProductionInterval) return;
+
+        const cycles = Math.floor(this.productionTimer / this.config.autoProductionInterval);
+        this.productionTimer -= cycles * this.config.autoProductionInterval;
+
+        for (const [type, rate] of this.productionRates) {
+            this.addResource(type, rate.amount * cycles, rate.source);
+        }
     }
-    
+
+    /**
+     * Obtiene la cantidad actual de un recurso
+     * @param {string} type - Tipo de recurso
+     * @returns {number} Cantidad disponible
+     */
+    getResource(type) {
+        return this.stateManager?.get(`player.inventory.resources.${type}`, 0) || 0;
+    }
+
+    /**
+     * Obtiene una copia de todos los recursos
+     * @returns {Object} Recursos del jugador
+     */
+    getResources() {
+        return { ...this.stateManager?.get('player.inventory.resources', {}) };
+    }
+
+    /**
+     * Obtiene la cantidad de semillas de un tipo
+     * @param {string} seedType - Tipo de semilla
+     * @returns {number} Cantidad disponible
+     */
+    getSeedCount(seedType) {
+        return this.stateManager?.get(`player.inventory.seeds.${seedType}`, 0) || 0;
+    }
+
+    /**
+     * Obtiene la cantidad de abonos de un tipo
+     * @param {string} fertilizerType - Tipo de abono
+     * @returns {number} Cantidad disponible
+     */
+    getFertilizerCount(fertilizerType) {
+        return this.stateManager?.get(`player.inventory.fertilizers.${fertilizerType}`, 0) || 0;
+    }
+
+    /**
+     * Agrega una cantidad de un recurso
+     * @param {string} type - Tipo de recurso
+     * @param {number} amount - Cantidad a agregar (positiva)
+     * @param {string} source - Origen (harvest, minigame, achievement...)
+     * @returns {boolean} true si se aplicó
+     */
     addResource(type, amount, source = 'unknown') {
-        // Implementar agregar recurso
+        if (!this.isValidAmount(amount)) {
+            console.warn(`⚠️ ResourceSystem: Cantidad inválida para ${type}: ${amount}`);
+            return false;
+        }
+
+        return this.applyTransaction('resources', { [type]: amount }, { source });
     }
-    
+
+    /**
+     * Quita una cantidad de un recurso
+     * @param {string} type - Tipo de recurso
+     * @param {number} amount - Cantidad a quitar (positiva)
+     * @param {string} reason - Motivo del gasto (travel, accelerate...)
+     * @returns {boolean} true si había saldo suficiente y se aplicó
+     */
     removeResource(type, amount, reason = 'unknown') {
-        // Implementar remover recurso
+        if (!this.isValidAmount(amount)) {
+            console.warn(`⚠️ ResourceSystem: Cantidad inválida para ${type}: ${amount}`);
+            return false;
+        }
+
+        return this.applyTransaction('resources', { [type]: -amount }, { source: reason });
     }
-    
+
+    /**
+     * Verifica si el jugador puede pagar un costo
+     * @param {Object} cost - Costo { recurso: cantidad }
+     * @returns {boolean} true si tiene saldo para todos los recursos
+     */
     canAfford(cost) {
-        // Implementar verificación de costos
+        if (!cost || typeof cost !== 'object') return false;
+
+        for (const [type, amount] of Object.entries(cost)) {
+            if (!this.isValidAmount(amount) && amount !== 0) return false;
+            if (this.getResource(type) < amount) return false;
+        }
+
         return true;
     }
-    
-    processPayment(cost) {
-        // Implementar procesamiento de pagos
+
+    /**
+     * Cobra un costo multi-recurso de forma atómica
+     * @param {Object} cost - Costo { recurso: cantidad }
+     * @param {string} reason - Motivo del pago
+     * @returns {boolean} true si se cobró todo; si falta algo no se cobra nada
+     */
+    processPayment(cost, reason = 'unknown') {
+        if (!this.canAfford(cost)) {
+            this.eventBus?.emit('resources:insufficient', {
+                cost,
+                reason,
+                missing: this.getMissingResources(cost)
+            });
+            return false;
+        }
+
+        const deltas = {};
+        for (const [type, amount] of Object.entries(cost)) {
+            if (amount > 0) deltas[type] = -amount;
+        }
+
+        return this.applyTransaction('resources', deltas, { source: reason });
+    }
+
+    /**
+     * Agrega semillas al inventario
+     * @param {string} seedType - Tipo de semilla
+     * @param {number} count - Cantidad
+     * @param {string} source - Origen
+     * @returns {boolean} true si se aplicó
+     */
+    addSeeds(seedType, count, source = 'unknown') {
+        if (!this.isValidAmount(count)) return false;
+        return this.applyTransaction('seeds', { [seedType]: count }, { source });
+    }
+
+    /**
+     * Consume semillas del inventario
+     * @param {string} seedType - Tipo de semilla
+     * @param {number} count - Cantidad
+     * @param {string} reason - Motivo
+     * @returns {boolean} true si había semillas suficientes
+     */
+    consumeSeeds(seedType, count = 1, reason = 'unknown') {
+        if (!this.isValidAmount(count)) return false;
+        return this.applyTransaction('seeds', { [seedType]: -count }, { source: reason });
+    }
+
+    /**
+     * Fabrica un abono pagando su receta con recursos
+     * @param {string} fertilizerType - Tipo de abono
+     * @param {Object} recipe - Costo { recurso: cantidad }
+     * @returns {boolean} true si se pagó la receta y se añadió el abono
+     */
+    craftFertilizer(fertilizerType, recipe) {
+        if (!this.processPayment(recipe, 'crafting')) return false;
+        return this.applyTransaction('fertilizers', { [fertilizerType]: 1 }, { source: 'crafting' });
+    }
+
+    /**
+     * Consume abonos del inventario
+     * @param {string} fertilizerType - Tipo de abono
+     * @param {number} count - Cantidad
+     * @param {string} reason - Motivo
+     * @returns {boolean} true si había abonos suficientes
+     */
+    consumeFertilizer(fertilizerType, count = 1, reason = 'unknown') {
+        if (!this.isValidAmount(count)) return false;
+        return this.applyTransaction('fertilizers', { [fertilizerType]: -count }, { source: reason });
+    }
+
+    /**
+     * Entrega un paquete de recompensas { seeds: {}, resources: {} }
+     * @param {Object} rewards - Recompensas
+     * @param {string} source - Origen de las recompensas
+     * @returns {boolean} true si se aplicó algo
+     */
+    grantRewards(rewards, source = 'unknown') {
+        if (!rewards) return false;
+
+        let applied = false;
+
+        const resources = this.filterPositive(rewards.resources);
+        if (Object.keys(resources).length > 0) {
+            applied = this.applyTransaction('resources', resources, { source }) || applied;
+        }
+
+        const seeds = this.filterPositive(rewards.seeds);
+        if (Object.keys(seeds).length > 0) {
+            applied = this.applyTransaction('seeds', seeds, { source }) || applied;
+        }
+
+        return applied;
+    }
+
+    /**
+     * Configura la producción automática de un recurso
+     * @param {string} type - Tipo de recurso
+     * @param {number} amount - Cantidad por intervalo (0 para desactivar)
+     * @param {string} source - Origen de la producción
+     */
+    setProductionRate(type, amount, source = 'production') {
+        if (!amount) {
+            this.productionRates.delete(type);
+            return;
+        }
+
+        this.productionRates.set(type, { amount, source });
+    }
+
+    /**
+     * Aplica un conjunto de cambios sobre una categoría del inventario.
+     * Todos los cambios se aplican juntos o ninguno (saldo negativo = rechazo).
+     * @private
+     */
+    applyTransaction(category, deltas, meta = {}) {
+        if (!this.stateManager) return false;
+
+        const entries = Object.entries(deltas).filter(([, delta]) => delta !== 0);
+        if (entries.length === 0) return false;
+
+        const path = `player.inventory.${category}`;
+        const current = this.stateManager.get(path, {});
+        const updated = { ...current };
+        const balances = {};
+
+        for (const [type, delta] of entries) {
+            const newBalance = (updated[type] || 0) + delta;
+
+            if (newBalance < 0) {
+                console.warn(`⚠️ ResourceSystem: Saldo insuficiente de ${type} (${updated[type] || 0} < ${-delta})`);
+                this.eventBus?.emit('resources:rejected', {
+                    category,
+                    deltas,
+                    source: meta.source,
+                    resource: type
+                });
+                return false;
+            }
+
+            updated[type] = newBalance;
+            balances[type] = newBalance;
+        }
+
+        const timestamp = Date.now();
+        const source = meta.source || 'unknown';
+
+        // Un inventario que el esquema rechaza no deja rastro en el historial
+        if (!this.stateManager.validateValue(path, updated)) return false;
+
+        // El historial va antes que el inventario: quien escuche el cambio de
+        // inventario ya encuentra su movimiento en el historial
+        const previousLedger = this.getLedger();
+        if (!this.recordTransaction(category, entries, balances, source, timestamp)) return false;
+
+        if (!this.stateManager.set(path, updated)) {
+            this.stateManager.set(this.config.ledgerPath, previousLedger, { validate: false });
+            return false;
+        }
+
+        this.eventBus?.emit('resources:changed', {
+            category,
+            deltas: Object.fromEntries(entries),
+            balances,
+            source,
+            timestamp
+        });
+
         return true;
     }
-    
+
+    /**
+     * Registra los movimientos de una transacción en el historial persistido
+     * @returns {boolean} false si el estado rechazó el historial
+     * @private
+     */
+    recordTransaction(category, entries, balances, source, timestamp) {
+        const ledger = this.getLedger();
+        let nextId = ledger.length > 0 ? ledger[ledger.length - 1].id + 1 : 1;
+
+        const newEntries = entries.map(([resource, delta]) => ({
+            id: nextId++,
+            timestamp,
+            category,
+            resource,
+            delta,
+            source,
+            balance: balances[resource]
+        }));
+
+        const updatedLedger = [...ledger, ...newEntries].slice(-this.config.maxLedgerEntries);
+        return this.stateManager.set(this.config.ledgerPath, updatedLedger);
+    }
+
+    /**
+     * Obtiene el historial completo de movimientos
+     * @returns {Array} Movimientos ordenados del más antiguo al más reciente
+     */
+    getLedger() {
+        return this.stateManager?.get(this.config.ledgerPath, []) || [];
+    }
+
+    /**
+     * Consulta el historial de movimientos
+     * @param {Object} filter - Filtros opcionales
+     * @param {string} filter.resource - ID del recurso o semilla
+     * @param {string} filter.source - Origen o motivo (harvest, travel...)
+     * @param {string} filter.category - 'resources' o 'seeds'
+     * @param {number} filter.since - Timestamp mínimo (inclusive)
+     * @param {number} filter.until - Timestamp máximo (inclusive)
+     * @param {number} filter.limit - Máximo de movimientos (los más recientes)
+     * @returns {Array} Movimientos que cumplen el filtro
+     */
+    getTransactions(filter = {}) {
+        const results = this.getLedger().filter(entry =>
+            (filter.resource === undefined || entry.resource === filter.resource) &&
+            (filter.source === undefined || entry.source === filter.source) &&
+            (filter.category === undefined || entry.category === filter.category) &&
+            (filter.since === undefined || entry.timestamp >= filter.since) &&
+            (filter.until === undefined || entry.timestamp <= filter.until)
+        );
+
+        return filter.limit ? results.slice(-filter.limit) : results;
+    }
+
+    /**
+     * Resume ingresos y gastos de un periodo (por defecto, la sesión actual)
+     * @param {Object} filter - Mismos filtros que getTransactions
+     * @returns {Object} { since, until, income, expense, net, bySource, transactions }
+     */
+    getSummary(filter = {}) {
+        const transactions = this.getTransactions(filter);
+        const summary = {
+            since: filter.since ?? null,
+            until: filter.until ?? null,
+            income: {},
+            expense: {},
+            net: {},
+            bySource: {},
+            transactions: transactions.length
+        };
+
+        for (const entry of transactions) {
+            const bucket = entry.delta > 0 ? summary.income : summary.expense;
+            bucket[entry.resource] = (bucket[entry.resource] || 0) + Math.abs(entry.delta);
+            summary.net[entry.resource] = (summary.net[entry.resource] || 0) + entry.delta;
+
+            const sourceTotals = summary.bySource[entry.source] || (summary.bySource[entry.source] = {});
+            sourceTotals[entry.resource] = (sourceTotals[entry.resource] || 0) + entry.delta;
+        }
+
+        return summary;
+    }
+
+    /**
+     * Resume ingresos y gastos desde el inicio de la sesión actual
+     * @param {Object} filter - Filtros adicionales (resource, source, category)
+     * @returns {Object} Resumen de la sesión
+     */
+    getSessionSummary(filter = {}) {
+        return this.getSummary({ ...filter, since: this.sessionStart });
+    }
+
+    /**
+     * Calcula qué recursos faltan para cubrir un costo
+     * @private
+     */
+    getMissingResources(cost) {
+        const missing = {};
+        for (const [type, amount] of Object.entries(cost || {})) {
+            const available = this.getResource(type);
+            if (available < amount) {
+                missing[type] = amount - available;
+            }
+        }
+        return missing;
+    }
+
+    /**
+     * Filtra un mapa de cantidades dejando solo las positivas
+     * @private
+     */
+    filterPositive(amounts) {
+        return Object.fromEntries(
+            Object.entries(amounts || {}).filter(([, amount]) => this.isValidAmount(amount))
+        );
+    }
+
+    /**
+     * Verifica que una cantidad sea un número finito positivo
+     * @private
+     */
+    isValidAmount(amount) {
+        return typeof amount === 'number' && Number.isFinite(amount) && amount > 0;
+    }
+
+    /**
+     * Obtiene estadísticas del sistema
+     * @returns {Object} Estadísticas
+     */
+    getStats() {
+        return {
+            resources: this.getResources(),
+            productionRates: Object.fromEntries(this.productionRates),
+            ledgerSize: this.getLedger().length,
+            session: this.getSessionSummary()
+        };
+    }
+
     destroy() {
-        this.resources.clear();
         this.productionRates.clear();
         console.log('🗑️ ResourceSystem: Sistema de recursos destruido');
     }
 }
 
-window.ResourceSystem = ResourceSystem;
\ No newline at end of file
+window.ResourceSystem = ResourceSystem;
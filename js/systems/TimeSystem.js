@@ -1,6 +1,9 @@
 /**
  * TimeSystem - Sistema de tiempo del juego
  * Responsabilidad: Manejar el ciclo día/noche y el flujo del tiempo del juego
+ *
+ * Es la fuente del tiempo de juego: el resto de sistemas convierten su deltaTime
+ * con `scaleDelta()` para que pausar, acelerar o ralentizar el tiempo les afecte igual.
  */
 
 class TimeSystem {
@@ -10,11 +13,33 @@ class TimeSystem {
         this.dayNightCycle = 0; // 0-1 (0 = medianoche, 0.5 = mediodía)
         this.dayDuration = 300000; // 5 minutos por día
         this.currentDay = 1;
+        this.currentSeason = null;
+        this.currentHour = null;
+        this.currentPhase = null;
+        
+        // Fases del día (horas de inicio); amanecer y atardecer cuentan como día
+        this.dayPhases = [
+            { id: 'night', from: 0, emoji: '🌙' },
+            { id: 'dawn', from: 6, emoji: '🌅' },
+            { id: 'day', from: 8, emoji: '☀️' },
+            { id: 'dusk', from: 16, emoji: '🌇' },
+            { id: 'night', from: 18, emoji: '🌙' }
+        ];
+        
+        // Estaciones en orden
+        this.seasons = {
+            spring: { name: 'Primavera', emoji: '🌸' },
+            summer: { name: 'Verano', emoji: '☀️' },
+            autumn: { name: 'Otoño', emoji: '🍂' },
+            winter: { name: 'Invierno', emoji: '❄️' }
+        };
         
         // Configuración
         this.config = {
             enableDayNightCycle: true,
             enableSeasons: true,
+            seasonLength: 10, // Días por estación
+            startHour: 8, // Una partida nueva empieza por la mañana
             timeSpeed: 1.0 // Multiplicador de velocidad del tiempo
         };
         
@@ -25,13 +50,70 @@ class TimeSystem {
      * Inicializa el sistema
      */
     init() {
-        // Cargar tiempo guardado
+        this.restoreFromState();
+        
+        console.log('✅ TimeSystem: Sistema listo');
+    }
+    
+    /**
+     * Carga el tiempo guardado en el estado
+     */
+    restoreFromState() {
         if (window.stateManager) {
             this.gameTime = window.stateManager.get('time.gameTime', 0);
             this.currentDay = window.stateManager.get('time.currentDay', 1);
+            this.config.timeSpeed = window.stateManager.get('time.timeSpeed', this.config.timeSpeed);
         }
         
-        console.log('✅ TimeSystem: Sistema listo');
+        // Recalcular hora, fase y estación sin anunciar cambios
+        this.currentHour = null;
+        this.currentPhase = null;
+        if (this.config.enableDayNightCycle) {
+            this.updateDayNightCycle();
+        }
+        
+        this.currentSeason = null;
+        if (this.config.enableSeasons) {
+            this.updateSeasons();
+        }
+    }
+    
+    /**
+     * Convierte tiempo real en tiempo de juego según la velocidad actual
+     * @param {number} deltaTime - Tiempo real en ms
+     * @returns {number} Tiempo de juego en ms
+     */
+    scaleDelta(deltaTime) {
+        return deltaTime * this.config.timeSpeed;
+    }
+    
+    /**
+     * Cambia la velocidad del tiempo (0 congela el tiempo de juego)
+     * @param {number} speed - Multiplicador de velocidad
+     */
+    setTimeSpeed(speed) {
+        if (typeof speed !== 'number' || speed < 0) {
+            console.warn(`⚠️ TimeSystem: Velocidad inválida: ${speed}`);
+            return;
+        }
+        
+        const oldSpeed = this.config.timeSpeed;
+        this.config.timeSpeed = speed;
+        
+        if (window.stateManager) {
+            window.stateManager.set('time.timeSpeed', speed);
+        }
+        
+        if (window.EventBus) {
+            window.EventBus.emit('time:speed-changed', { old: oldSpeed, new: speed });
+        }
+    }
+    
+    /**
+     * Obtiene el tiempo total de juego en ms
+     */
+    getGameTime() {
+        return this.gameTime;
     }
     
     /**
@@ -40,7 +122,7 @@ class TimeSystem {
      */
     update(deltaTime) {
         // Actualizar tiempo total del juego
-        this.gameTime += deltaTime * this.config.timeSpeed;
+        this.gameTime += this.scaleDelta(deltaTime);
         
         // Actualizar ciclo día/noche
         if (this.config.enableDayNightCycle) {
@@ -71,15 +153,48 @@ class TimeSystem {
      * @private
      */
     updateDayNightCycle() {
-        const timeOfDay = (this.gameTime % this.dayDuration) / this.dayDuration;
+        const clockTime = this.gameTime + (this.config.startHour / 24) * this.dayDuration;
+        const timeOfDay = (clockTime % this.dayDuration) / this.dayDuration;
         this.dayNightCycle = timeOfDay;
         
-        // Verificar cambio de día
-        const newDay = Math.floor(this.gameTime / this.dayDuration) + 1;
+        // Verificar cambio de día (a medianoche)
+        const newDay = Math.floor(clockTime / this.dayDuration) + 1;
         if (newDay !== this.currentDay) {
             this.currentDay = newDay;
             this.onNewDay();
         }
+        
+        this.updateHour();
+    }
+    
+    /**
+     * Detecta cambios de hora y de fase del día
+     * @private
+     */
+    updateHour() {
+        const hour = this.getHourOfDay();
+        if (hour === this.currentHour) return;
+        
+        const isRestore = this.currentHour === null;
+        const oldPhase = this.currentPhase;
+        this.currentHour = hour;
+        this.currentPhase = this.getDayPhase();
+        
+        if (window.stateManager) {
+            window.stateManager.set('world.dayNightCycle', this.dayNightCycle);
+        }
+        
+        if (isRestore || !window.EventBus) return;
+        
+        window.EventBus.emit('time:hour-changed', this.getClockInfo());
+        
+        if (this.currentPhase !== oldPhase) {
+            window.EventBus.emit('time:phase-changed', {
+                old: oldPhase,
+                new: this.currentPhase,
+                ...this.getClockInfo()
+            });
+        }
     }
     
     /**
@@ -87,12 +202,31 @@ class TimeSystem {
      * @private
      */
     updateSeasons() {
-        // Implementar lógica de estaciones
-        const seasonDuration = this.dayDuration * 10; // 10 días por estación
-        const seasonIndex = Math.floor(this.gameTime / seasonDuration) % 4;
+        const seasonIndex = Math.floor((this.currentDay - 1) / this.config.seasonLength) % 4;
+        
+        const seasons = Object.keys(this.seasons);
+        const newSeason = seasons[seasonIndex];
+        if (newSeason === this.currentSeason) return;
         
-        const seasons = ['spring', 'summer', 'autumn', 'winter'];
-        this.currentSeason = seasons[seasonIndex];
+        const oldSeason = this.currentSeason;
+        this.currentSeason = newSeason;
+        
+        if (window.stateManager) {
+            window.stateManager.set('world.season', newSeason);
+        }
+        
+        // Al restaurar no hay estación anterior: no es una transición
+        if (!oldSeason) return;
+        
+        console.log(`🍃 TimeSystem: Nueva estación: ${newSeason}`);
+        
+        if (window.EventBus) {
+            window.EventBus.emit('time:season-changed', {
+                old: oldSeason,
+                new: newSeason,
+                ...this.getSeasonInfo()
+            });
+        }
     }
     
     /**
@@ -172,6 +306,46 @@ class TimeSystem {
         return !this.isDayTime();
     }
     
+    /**
+     * Obtiene la fase del día actual (night, dawn, day, dusk)
+     */
+    getDayPhase() {
+        return this.getPhaseData().id;
+    }
+    
+    /**
+     * Datos de la fase del día actual
+     * @private
+     */
+    getPhaseData() {
+        const hour = this.getHourOfDay();
+        let phase = this.dayPhases[0];
+        
+        for (const candidate of this.dayPhases) {
+            if (hour >= candidate.from) {
+                phase = candidate;
+            }
+        }
+        
+        return phase;
+    }
+    
+    /**
+     * Obtiene la información del reloj para el HUD
+     * @returns {Object} { day, hour, phase, emoji, isDayTime }
+     */
+    getClockInfo() {
+        const phase = this.getPhaseData();
+        
+        return {
+            day: this.currentDay,
+            hour: this.getHourOfDay(),
+            phase: phase.id,
+            emoji: phase.emoji,
+            isDayTime: this.isDayTime()
+        };
+    }
+    
     /**
      * Obtiene el nombre de la estación actual
      */
@@ -179,6 +353,23 @@ class TimeSystem {
         return this.currentSeason || 'spring';
     }
     
+    /**
+     * Obtiene la estación actual con su información
+     * @returns {Object} { id, name, emoji, day, daysRemaining }
+     */
+    getSeasonInfo() {
+        const id = this.getCurrentSeason();
+        const dayOfSeason = (this.currentDay - 1) % this.config.seasonLength;
+        
+        return {
+            id,
+            name: this.seasons[id].name,
+            emoji: this.seasons[id].emoji,
+            day: dayOfSeason + 1,
+            daysRemaining: this.config.seasonLength - dayOfSeason
+        };
+    }
+    
     /**
      * Obtiene información del tiempo
      */
@@ -189,8 +380,10 @@ class TimeSystem {
             currentDay: this.currentDay,
             currentSeason: this.getCurrentSeason(),
             hourOfDay: this.getHourOfDay(),
+            dayPhase: this.getDayPhase(),
             isDayTime: this.isDayTime(),
-            isNightTime: this.isNightTime()
+            isNightTime: this.isNightTime(),
+            timeSpeed: this.config.timeSpeed
         };
     }
     
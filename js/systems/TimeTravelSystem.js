@@ -12,6 +12,7 @@ class TimeTravelSystem {
         this.renderer = null;
         this.audioManager = null;
         this.plantSystem = null;
+        this.resourceSystem = null;
         
         // Estado del sistema
         this.currentEra = 'prehistoric';
@@ -59,12 +60,11 @@ class TimeTravelSystem {
             this.renderer = this.gameEngine.getSystem('renderer') || window.renderer;
             this.audioManager = this.gameEngine.getSystem('audioManager') || window.audioManager;
             this.plantSystem = this.gameEngine.getSystem('plantSystem') || window.plantSystem;
+            this.resourceSystem = this.gameEngine.getSystem('resourceSystem') || window.resourceSystem;
         }
         
         // Cargar era actual del estado
-        if (this.stateManager) {
-            this.currentEra = this.stateManager.get('time.currentEra', 'prehistoric');
-        }
+        this.restoreFromState();
         
         // Configurar eventos
         this.setupEvents();
@@ -72,6 +72,16 @@ class TimeTravelSystem {
         console.log('✅ TimeTravelSystem: Sistema listo');
     }
     
+    /**
+     * Restaura la era actual y la anterior guardadas en el estado
+     */
+    restoreFromState() {
+        if (!this.stateManager) return;
+        
+        this.currentEra = this.stateManager.get('time.currentEra', 'prehistoric');
+        this.previousEra = this.stateManager.get('time.previousEra', null);
+    }
+    
     /**
      * Inicializa las eras del juego
      * @private
@@ -223,9 +233,10 @@ class TimeTravelSystem {
         }
         
         // Verificar costo
+        const travelCost = { 'temporal-pulses': this.travelConfig.temporalPulseCost };
         if (this.config.enableCost) {
-            const currentPulses = this.stateManager?.get('player.inventory.resources.temporal-pulses', 0);
-            if (currentPulses < this.travelConfig.temporalPulseCost) {
+            if (!this.resourceSystem?.canAfford(travelCost)) {
+                const currentPulses = this.resourceSystem?.getResource('temporal-pulses') || 0;
                 console.warn('⏰ TimeTravelSystem: No hay suficientes pulsos temporales');
                 this.eventBus?.emit('timetravel:insufficient-resources', {
                     required: this.travelConfig.temporalPulseCost,
@@ -240,9 +251,8 @@ class TimeTravelSystem {
         
         try {
             // Consumir recursos
-            if (this.config.enableCost) {
-                const currentPulses = this.stateManager.get('player.inventory.resources.temporal-pulses', 0);
-                this.stateManager.set('player.inventory.resources.temporal-pulses', currentPulses - this.travelConfig.temporalPulseCost);
+            if (this.config.enableCost && !this.resourceSystem.processPayment(travelCost, 'travel')) {
+                throw new Error('No se pudo cobrar el viaje temporal');
             }
             
             // Notificar inicio de viaje
@@ -430,8 +440,7 @@ class TimeTravelSystem {
         // Actualizar estado del jugador
         const unlockedEras = this.stateManager?.get('player.unlockedEras', []);
         if (!unlockedEras.includes(eraId)) {
-            unlockedEras.push(eraId);
-            this.stateManager?.set('player.unlockedEras', unlockedEras);
+            this.stateManager?.set('player.unlockedEras', [...unlockedEras, eraId]);
         }
         
         // Notificar desbloqueo
@@ -478,19 +487,9 @@ class TimeTravelSystem {
      * @private
      */
     applyMinigameRewards(rewards) {
-        if (!this.stateManager || !rewards) return;
-        
-        // Aplicar recursos
-        for (const [resource, amount] of Object.entries(rewards.resources || {})) {
-            const current = this.stateManager.get(`player.inventory.resources.${resource}`, 0);
-            this.stateManager.set(`player.inventory.resources.${resource}`, current + amount);
-        }
+        if (!this.resourceSystem || !rewards) return;
         
-        // Aplicar semillas
-        for (const [seed, count] of Object.entries(rewards.seeds || {})) {
-            const current = this.stateManager.get(`player.inventory.seeds.${seed}`, 0);
-            this.stateManager.set(`player.inventory.seeds.${seed}`, current + count);
-        }
+        this.resourceSystem.grantRewards(rewards, 'minigame');
     }
     
     /**
@@ -1,43 +1,311 @@
 /**
  * WeatherSystem - Sistema del clima
  * Responsabilidad: Manejar el clima y sus efectos en el juego
+ *
+ * El clima actual se guarda en `world.weather` y el tiempo que le queda en
+ * `world.weatherRemaining`, para poder restaurarlo al cargar la partida.
+ * Todas las duraciones son tiempo de juego (ver TimeSystem.scaleDelta).
+ *
+ * `weatherTypes` es el catálogo de todos los climas; las probabilidades de cada
+ * era salen de `eraData[era].weather` y se cambian al viajar en el tiempo.
+ *
+ * Los próximos climas se generan por adelantado en una cola (`forecast`) para que
+ * el jugador pueda planificar; se guarda en `world.weatherForecast`.
  */
 
 class WeatherSystem {
     constructor() {
+        // Referencias a otros sistemas
+        this.gameEngine = null;
+        this.eventBus = null;
+        this.stateManager = null;
+        this.resourceSystem = null;
+        this.renderer = null;
+        this.timeSystem = null;
+        
         this.currentWeather = 'clear';
         this.weatherDuration = 0;
-        this.nextWeatherChange = 0;
+        this.weatherRemaining = 0; // Tiempo de juego hasta el próximo cambio (ms)
         
+        // Catálogo de climas
+        // Efectos: growth, waterRetention, autoWater, damageRisk, nutrientRate (por segundo),
+        // timeWarp (velocidad del tiempo para las plantas), frozenTime, resourceDrop
         this.weatherTypes = {
-            clear: { probability: 0.6, duration: [30000, 120000] },
-            rainy: { probability: 0.2, duration: [20000, 60000] },
-            sunny: { probability: 0.15, duration: [40000, 100000] },
-            stormy: { probability: 0.05, duration: [10000, 30000] }
+            clear: {
+                name: 'Despejado', emoji: '⛅', duration: [30000, 120000],
+                effects: { growth: 1.0, waterRetention: 1.0 }
+            },
+            rainy: {
+                name: 'Lluvia', emoji: '🌧️', duration: [20000, 60000],
+                effects: { growth: 1.2, waterRetention: 1.5, autoWater: true }
+            },
+            sunny: {
+                name: 'Soleado', emoji: '☀️', duration: [40000, 100000],
+                effects: { growth: 1.3, waterRetention: 0.7 }
+            },
+            stormy: {
+                name: 'Tormenta', emoji: '⛈️', duration: [10000, 30000],
+                effects: { growth: 0.8, waterRetention: 1.0, damageRisk: 0.1 }
+            },
+            
+            // Era Primigenia
+            'ash-fall': {
+                name: 'Lluvia de Ceniza', emoji: '🌋', duration: [20000, 60000],
+                effects: { growth: 0.9, waterRetention: 1.1, nutrientRate: 0.5 }
+            },
+            'meteor-shower': {
+                name: 'Lluvia de Meteoritos', emoji: '☄️', duration: [10000, 30000],
+                effects: {
+                    growth: 1.0, waterRetention: 1.0, damageRisk: 0.15,
+                    resourceDrop: { resources: { 'fossils': 1 }, interval: 5000 }
+                }
+            },
+            
+            // Antiguo Egipto
+            sandstorm: {
+                name: 'Tormenta de Arena', emoji: '🏜️', duration: [15000, 45000],
+                effects: { growth: 0.7, waterRetention: 0.5, damageRisk: 0.05 }
+            },
+            'nile-flood': {
+                name: 'Crecida del Nilo', emoji: '🌊', duration: [30000, 90000],
+                effects: { growth: 1.3, waterRetention: 1.5, autoWater: true, nutrientRate: 0.4 }
+            },
+            
+            // Año 3025
+            'ion-storm': {
+                name: 'Tormenta Iónica', emoji: '⚡', duration: [15000, 40000],
+                effects: {
+                    growth: 1.4, waterRetention: 0.8, damageRisk: 0.08,
+                    resourceDrop: { resources: { 'data-crystals': 1 }, interval: 8000 }
+                }
+            },
+            
+            // Eventos temporales (todas las eras)
+            'temporal-storm': {
+                name: 'Tormenta Temporal', emoji: '🌀', duration: [10000, 25000], temporalEvent: true,
+                effects: {
+                    growth: 1.0, waterRetention: 1.0, timeWarp: 2,
+                    resourceDrop: { resources: { 'temporal-pulses': 2 }, interval: 5000 }
+                }
+            },
+            paradox: {
+                name: 'Paradoja', emoji: '♾️', duration: [8000, 20000], temporalEvent: true,
+                effects: { growth: 1.0, waterRetention: 1.0, frozenTime: true }
+            }
+        };
+        
+        // Probabilidades si la era no declara su propia tabla
+        this.defaultWeatherTable = {
+            clear: 0.6,
+            rainy: 0.2,
+            sunny: 0.15,
+            stormy: 0.05
+        };
+        
+        // Tabla de probabilidades de la era actual
+        this.weatherTable = { ...this.defaultWeatherTable };
+        
+        // Pronóstico: próximos climas { weather, duration }
+        this.forecast = [];
+        
+        this.config = {
+            persistInterval: 5000,   // Cada cuánto se guarda el tiempo restante en el estado
+            forecastLength: 5,       // Periodos de clima generados por adelantado
+            forecastRenderInterval: 1000
         };
         
+        this.persistTimer = 0;
+        this.dropTimer = 0;
+        this.forecastRenderTimer = 0;
+        this.listenersReady = false;
+        
         console.log('🌦️ WeatherSystem: Sistema del clima inicializado');
     }
     
     init() {
-        this.changeWeather('clear');
+        // Obtener referencias a otros sistemas
+        if (this.gameEngine) {
+            this.eventBus = this.gameEngine.getSystem('eventBus') || window.EventBus;
+            this.stateManager = this.gameEngine.getSystem('stateManager') || window.stateManager;
+            this.resourceSystem = this.gameEngine.getSystem('resourceSystem') || window.resourceSystem;
+            this.renderer = this.gameEngine.getSystem('renderer') || window.renderer;
+            this.timeSystem = this.gameEngine.getSystem('timeSystem') || window.timeSystem;
+        }
+        
+        this.setupEvents();
+        this.restoreFromState();
         console.log('✅ WeatherSystem: Sistema listo');
     }
     
+    /**
+     * Configura los eventos del sistema
+     * @private
+     */
+    setupEvents() {
+        // init() puede llamarse más de una vez: no duplicar listeners
+        if (!this.eventBus || this.listenersReady) return;
+        this.listenersReady = true;
+        
+        this.eventBus.on('timetravel:success', (data) => {
+            this.setEraWeather(data.to);
+            
+            // El pronóstico anterior pertenece a otra era
+            this.forecast = [];
+            this.fillForecast();
+            
+            // Si el clima actual no existe en la nueva era, cambiarlo ya
+            if (!this.weatherTable[this.currentWeather]) {
+                this.advanceWeather();
+            } else {
+                this.persistWeather();
+                this.notifyForecast();
+            }
+        });
+    }
+    
+    /**
+     * Carga la tabla de climas de una era
+     * @param {string} eraId - ID de la era
+     */
+    setEraWeather(eraId) {
+        const table = window.getEraData?.(eraId)?.weather;
+        
+        this.weatherTable = {};
+        for (const [weather, probability] of Object.entries(table || this.defaultWeatherTable)) {
+            if (this.weatherTypes[weather]) {
+                this.weatherTable[weather] = probability;
+            } else {
+                console.warn(`⚠️ WeatherSystem: Clima desconocido en la era ${eraId}: ${weather}`);
+            }
+        }
+        
+        console.log(`🌦️ WeatherSystem: Tabla de climas de ${eraId} cargada`);
+    }
+    
+    /**
+     * Restaura el clima guardado en el estado (o empieza despejado)
+     */
+    restoreFromState() {
+        this.setEraWeather(this.stateManager?.get('time.currentEra', 'prehistoric') || 'prehistoric');
+        
+        const savedWeather = this.stateManager?.get('world.weather');
+        const remaining = this.stateManager?.get('world.weatherRemaining');
+        const savedForecast = this.stateManager?.get('world.weatherForecast');
+        
+        this.forecast = Array.isArray(savedForecast)
+            ? savedForecast.filter(entry => this.weatherTypes[entry?.weather] && entry.duration > 0)
+            : [];
+        this.fillForecast();
+        
+        if (this.weatherTypes[savedWeather] && remaining > 0) {
+            this.currentWeather = savedWeather;
+            this.weatherRemaining = remaining;
+            this.weatherDuration = 0;
+            this.notifyForecast();
+            console.log(`🌦️ WeatherSystem: Clima restaurado (${savedWeather})`);
+            return;
+        }
+        
+        this.changeWeather('clear');
+    }
+    
     update(deltaTime) {
-        this.weatherDuration += deltaTime;
+        let gameDelta = this.timeSystem ? this.timeSystem.scaleDelta(deltaTime) : deltaTime;
+        
+        // Con pasos largos (progreso offline) pueden terminar varios climas seguidos:
+        // cada tramo da los recursos del clima que estaba activo en él
+        while (gameDelta > 0 && gameDelta >= this.weatherRemaining) {
+            const segment = Math.max(0, this.weatherRemaining);
+            this.weatherDuration += segment;
+            this.updateResourceDrops(segment);
+            gameDelta -= segment;
+            this.advanceWeather();
+        }
+        
+        this.weatherDuration += gameDelta;
+        this.weatherRemaining -= gameDelta;
+        this.updateResourceDrops(gameDelta);
+        
+        this.persistTimer += deltaTime;
+        if (this.persistTimer >= this.config.persistInterval) {
+            this.persistWeather();
+        }
+        
+        // Refrescar los tiempos del widget de pronóstico
+        this.forecastRenderTimer += deltaTime;
+        if (this.forecastRenderTimer >= this.config.forecastRenderInterval) {
+            this.renderForecast();
+        }
+    }
+    
+    /**
+     * Pasa al siguiente clima del pronóstico
+     */
+    advanceWeather() {
+        const next = this.forecast.shift() || this.rollWeather();
+        this.fillForecast();
+        this.changeWeather(next.weather, next.duration);
+    }
+    
+    /**
+     * Completa la cola de pronóstico hasta `config.forecastLength` periodos
+     * @private
+     */
+    fillForecast() {
+        while (this.forecast.length < this.config.forecastLength) {
+            this.forecast.push(this.rollWeather());
+        }
+    }
+    
+    /**
+     * Genera un periodo de clima aleatorio según la tabla de la era
+     * @returns {Object} { weather, duration }
+     * @private
+     */
+    rollWeather() {
+        const weather = this.selectNextWeather();
+        return { weather, duration: this.rollDuration(weather) };
+    }
+    
+    /**
+     * Duración aleatoria de un clima en ms
+     * @private
+     */
+    rollDuration(weather) {
+        const durationRange = this.weatherTypes[weather].duration;
+        return Math.random() * (durationRange[1] - durationRange[0]) + durationRange[0];
+    }
+    
+    /**
+     * Entrega los recursos que caen con algunos climas (meteoritos, tormentas...)
+     * @private
+     */
+    updateResourceDrops(deltaTime) {
+        const drop = this.getWeatherEffects().resourceDrop;
+        if (!drop || !this.resourceSystem) return;
+        
+        this.dropTimer += deltaTime;
+        if (this.dropTimer < drop.interval) return;
+        
+        const cycles = Math.floor(this.dropTimer / drop.interval);
+        this.dropTimer -= cycles * drop.interval;
         
-        if (Date.now() > this.nextWeatherChange) {
-            this.changeWeather(this.selectNextWeather());
+        const resources = {};
+        for (const [resource, amount] of Object.entries(drop.resources)) {
+            resources[resource] = amount * cycles;
         }
+        
+        this.resourceSystem.grantRewards({ resources }, 'weather');
     }
     
     selectNextWeather() {
-        const rand = Math.random();
+        const entries = Object.entries(this.weatherTable);
+        const total = entries.reduce((sum, [, probability]) => sum + probability, 0);
+        const rand = Math.random() * total;
         let cumulative = 0;
         
-        for (const [weather, data] of Object.entries(this.weatherTypes)) {
-            cumulative += data.probability;
+        for (const [weather, probability] of entries) {
+            cumulative += probability;
             if (rand <= cumulative) {
                 return weather;
             }
@@ -46,37 +314,132 @@ class WeatherSystem {
         return 'clear';
     }
     
-    changeWeather(newWeather) {
+    /**
+     * Cambia el clima actual
+     * @param {string} newWeather - ID del clima
+     * @param {number} duration - Duración en ms (aleatoria si no se indica)
+     */
+    changeWeather(newWeather, duration = this.rollDuration(newWeather)) {
         const oldWeather = this.currentWeather;
         this.currentWeather = newWeather;
         
         // Configurar próximo cambio
-        const durationRange = this.weatherTypes[newWeather].duration;
-        const duration = Math.random() * (durationRange[1] - durationRange[0]) + durationRange[0];
-        this.nextWeatherChange = Date.now() + duration;
+        this.weatherRemaining = duration;
         this.weatherDuration = 0;
+        this.dropTimer = 0;
+        
+        this.persistWeather();
         
         // Notificar cambio
-        if (window.EventBus) {
-            window.EventBus.emit('weather:changed', {
+        if (this.eventBus) {
+            this.eventBus.emit('weather:changed', {
                 old: oldWeather,
                 new: newWeather,
-                duration: duration
+                duration: duration,
+                effects: this.getWeatherEffects(newWeather),
+                forecast: this.getForecast()
             });
         }
         
+        this.notifyForecast();
         console.log(`🌦️ Clima cambiado a: ${newWeather}`);
     }
     
+    /**
+     * Emite el pronóstico actualizado y refresca el widget
+     * @private
+     */
+    notifyForecast() {
+        if (this.eventBus) {
+            this.eventBus.emit('weather:forecast-updated', {
+                current: this.getCurrentWeather(),
+                forecast: this.getForecast()
+            });
+        }
+        
+        this.renderForecast();
+    }
+    
+    /**
+     * Dibuja el widget de pronóstico en la barra de recursos
+     * @private
+     */
+    renderForecast() {
+        this.forecastRenderTimer = 0;
+        this.renderer?.renderWeatherForecast(this.getCurrentWeather(), this.getForecast());
+    }
+    
+    /**
+     * Obtiene los próximos climas con el tiempo que falta para cada uno
+     * @returns {Array} [{ id, name, emoji, eta, duration }] (eta en ms de juego)
+     */
+    getForecast() {
+        let eta = this.getTimeRemaining();
+        
+        return this.forecast.map(entry => {
+            const data = this.weatherTypes[entry.weather];
+            const item = {
+                id: entry.weather,
+                name: data.name,
+                emoji: data.emoji,
+                eta,
+                duration: entry.duration
+            };
+            
+            eta += entry.duration;
+            return item;
+        });
+    }
+    
+    /**
+     * Guarda el clima actual y el tiempo que le queda en el estado
+     * @private
+     */
+    persistWeather() {
+        this.persistTimer = 0;
+        if (!this.stateManager) return;
+        
+        this.stateManager.set('world.weather', this.currentWeather);
+        this.stateManager.set('world.weatherRemaining', this.getTimeRemaining());
+        this.stateManager.set('world.weatherForecast', this.forecast.map(entry => ({ ...entry })));
+    }
+    
+    /**
+     * Tiempo de juego restante del clima actual en ms
+     * @returns {number}
+     */
+    getTimeRemaining() {
+        return Math.max(0, this.weatherRemaining);
+    }
+    
+    /**
+     * Obtiene el clima actual con su información
+     * @returns {Object} { id, name, emoji, remaining, effects }
+     */
+    getCurrentWeather() {
+        const data = this.weatherTypes[this.currentWeather] || {};
+        
+        return {
+            id: this.currentWeather,
+            name: data.name,
+            emoji: data.emoji,
+            temporalEvent: Boolean(data.temporalEvent),
+            remaining: this.getTimeRemaining(),
+            effects: this.getWeatherEffects()
+        };
+    }
+    
     getWeatherEffects(weather = this.currentWeather) {
-        const effects = {
-            clear: { growth: 1.0, waterRetention: 1.0 },
-            rainy: { growth: 1.2, waterRetention: 1.5, autoWater: true },
-            sunny: { growth: 1.3, waterRetention: 0.7 },
-            stormy: { growth: 0.8, waterRetention: 1.0, damageRisk: 0.1 }
+        return (this.weatherTypes[weather] || this.weatherTypes.clear).effects;
+    }
+    
+    getStats() {
+        return {
+            currentWeather: this.currentWeather,
+            remaining: this.getTimeRemaining(),
+            weatherTable: this.weatherTable,
+            forecast: this.forecast.map(entry => entry.weather)
         };
-        
-        return effects[weather] || effects.clear;
     }
     
     destroy() {
@@ -84,4 +447,4 @@ class WeatherSystem {
     }
 }
 
-window.WeatherSystem = WeatherSystem;
\ No newline at end of file
+window.WeatherSystem = WeatherSystem;